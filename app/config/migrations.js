@@ -0,0 +1,158 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var User = require('../models/users');
+var Poll = require('../models/polls');
+var Ballot = require('../models/ballots');
+var receipts = require('../utils/receipts');
+var roles = require('./roles');
+
+// data migrations for accounts made before a feature existed. Every step may run any
+// number of times: app/routes/index.js starts them once mongoose is connected and holds
+// requests until they are over, and `node app/config/migrations.js <mongodb uri>` runs
+// them by hand
+
+var escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// the lowest ObjectId with a timestamp, ids below it were made by receipts.ballotId
+var FIRST_DATED_ID = '000000010000000000000000';
+
+// moves the ballots of anonymous polls that still have an ObjectId to a timeless id,
+// one by one: the new id is derived from the old one, so after a failure the next run
+// finds the copies it already made and only removes the originals
+var rekeyAnonymousBallots = (done) => {
+    Poll.find({ privacy: 'anonymous' }, { _id: 1 }, (err, polls) => {
+        if (err)
+            return done(err);
+        var query = { poll: { $in: polls.map((poll) => poll.id) }, _id: { $gte: FIRST_DATED_ID } };
+        Ballot.find(query).lean().exec((err, dated) => {
+            if (err)
+                return done(err);
+            var next = (i) => {
+                if (i === dated.length)
+                    return done(null, { nModified: dated.length });
+                var copy = Object.assign({}, dated[i], { _id: new mongoose.Types.ObjectId(receipts.ballotId(dated[i]._id)) });
+                Ballot.collection.insert(copy, (err) => {
+                    if (err && err.code !== 11000)
+                        return done(err);
+                    Ballot.remove({ _id: dated[i]._id }, (err) => err ? done(err) : next(i + 1));
+                });
+            };
+            next(0);
+        });
+    });
+};
+
+var STEPS = [
+    {
+        // before roles everyone could create polls; accounts that made some keep that as
+        // instructors, the others only voted and become students
+        name: 'grandfather roles',
+        run: (done) => User.update({ role: { $exists: false }, 'polls.0': { $exists: true } }, { $set: { role: 'instructor' } }, { multi: true }, (err, owners) => {
+            if (err)
+                return done(err);
+            User.update({ role: { $exists: false } }, { $set: { role: 'student' } }, { multi: true }, (err, voters) => {
+                if (err)
+                    return done(err);
+                done(null, { nModified: owners.nModified + voters.nModified });
+            });
+        })
+    },
+    {
+        // accounts made before addresses were verified would lose poll creation and
+        // have to confirm an address they have been using all along
+        name: 'grandfather email verification',
+        run: (done) => User.update({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } }, { multi: true }, done)
+    },
+    {
+        // ADMIN_EMAILS also promotes accounts that signed up before they were listed;
+        // addresses are stored as typed, so they are matched ignoring case
+        name: 'admin emails',
+        run: (done) => {
+            var emails = roles.adminEmails().map((email) => new RegExp('^' + escapeRegExp(email) + '$', 'i'));
+            if (!emails.length)
+                return done(null, { nModified: 0 });
+            User.update({ email: { $in: emails }, role: { $ne: 'admin' } }, { $set: { role: 'admin' } }, { multi: true }, done);
+        }
+    },
+    {
+        // receipts pushed before they were kept sorted list the voters in the order they voted
+        name: 'sort anonymous receipts',
+        run: (done) => Poll.update({ privacy: 'anonymous' }, { $push: { voters: { $each: [], $sort: 1 } } }, { multi: true }, done)
+    },
+    {
+        name: 'anonymous ballot ids',
+        run: rekeyAnonymousBallots
+    }
+];
+
+// runs the steps in order, done(err, [{ name, changed }])
+var run = (done) => {
+    var report = [];
+    var next = (i) => {
+        if (i === STEPS.length)
+            return done(null, report);
+        STEPS[i].run((err, raw) => {
+            if (err)
+                return done(err);
+            report.push({ name: STEPS[i].name, changed: (raw && raw.nModified) || 0 });
+            next(i + 1);
+        });
+    };
+    next(0);
+};
+
+var started = false;
+var finished = false;
+var failure = null;
+var waiting = [];
+
+// runs the steps once mongoose is connected, or right away if it already is; called
+// again it does nothing
+var start = () => {
+    if (started)
+        return;
+    started = true;
+    var go = () => run((err, report) => {
+        if (err)
+            console.error('migration failed', err);
+        (report || []).filter((step) => step.changed).forEach((step) => console.log('migration ' + step.name + ': ' + step.changed + ' changed'));
+        finished = true;
+        failure = err;
+        waiting.splice(0).forEach((next) => next(err));
+    });
+    if (mongoose.connection.readyState === 1)
+        return go();
+    mongoose.connection.once('open', go);
+};
+
+// middleware holding requests until the steps started by start() are over; after a
+// failed step every request fails rather than see accounts half migrated
+var ready = (req, res, next) => {
+    if (finished)
+        return next(failure);
+    waiting.push(next);
+};
+
+if (require.main === module) {
+    mongoose.Promise = global.Promise;
+    mongoose.connect(process.argv[2], { useMongoClient: true }, (err) => {
+        if (err) {
+            console.error('cannot connect to ' + process.argv[2], err);
+            process.exit(1);
+        }
+        run((err, report) => {
+            if (err)
+                console.error('migration failed', err);
+            (report || []).forEach((step) => console.log(step.name + ': ' + step.changed + ' changed'));
+            mongoose.disconnect(() => process.exit(err ? 1 : 0));
+        });
+    });
+}
+
+module.exports = {
+    STEPS: STEPS,
+    run: run,
+    start: start,
+    ready: ready
+};
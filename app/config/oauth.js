@@ -0,0 +1,145 @@
+'use strict';
+
+var GitHubStrategy = require('passport-github').Strategy;
+var GoogleStrategy = require('passport-google-oauth20').Strategy;
+const jwt = require('jsonwebtoken');
+var User = require('../models/users');
+var errors = require('../utils/errors');
+
+// OAuth sign-in providers. A provider is only registered when its client id is set;
+// the *_AUTHORIZATION_URL, *_TOKEN_URL and *_PROFILE_URL variables point it at a
+// different server, e.g. a local stub in tests. Google profiles come from its OpenID
+// Connect userinfo endpoint, passport-google-oauth20 1.0.0 still defaults to the
+// retired Google+ API
+var PROVIDERS = {
+    github: { Strategy: GitHubStrategy, env: 'GITHUB', field: 'githubId', scope: ['user:email'] },
+    google: {
+        Strategy: GoogleStrategy,
+        env: 'GOOGLE',
+        field: 'googleId',
+        scope: ['profile', 'email'],
+        profileURL: 'https://www.googleapis.com/oauth2/v3/userinfo'
+    }
+};
+
+var STATE_TTL = '10m';
+
+var enabled = (provider) => PROVIDERS.hasOwnProperty(provider) && !!process.env[PROVIDERS[provider].env + '_CLIENT_ID'];
+
+// the OAuth state parameter is a short lived signed token, which also carries the
+// id of the logged in user when the flow links a provider to an existing account
+var stateStore = {
+    store: function (req, done) {
+        done(null, jwt.sign({ purpose: 'oauth_state', link: req.oauthLinkUser }, process.env.JWT_KEY, { expiresIn: STATE_TTL }));
+    },
+    verify: function (req, state, done) {
+        jwt.verify(state || '', process.env.JWT_KEY, function (err, payload) {
+            if (err || payload.purpose !== 'oauth_state') {
+                return done(null, false, { message: 'invalid or expired OAuth state' });
+            }
+            req.oauthState = payload;
+            done(null, true, payload);
+        });
+    }
+};
+
+// token a logged in user trades for the link flow, since the browser cannot send
+// the Authorization header while it follows the provider's redirects
+var linkToken = (userId) => jwt.sign({ purpose: 'oauth_link', sub: String(userId) }, process.env.JWT_KEY, { expiresIn: STATE_TTL });
+
+var verifyLinkToken = (token, done) => {
+    jwt.verify(token || '', process.env.JWT_KEY, function (err, payload) {
+        if (err || payload.purpose !== 'oauth_link') {
+            return done(new errors.AuthError('invalid or expired link token'));
+        }
+        done(null, payload.sub);
+    });
+};
+
+// only addresses the provider has verified are used to match existing accounts
+var verifiedEmail = (profile) => {
+    var email = (profile.emails || []).filter((e) => e.verified === true || e.verified === 'true')[0];
+    return email ? email.value : undefined;
+};
+
+// finds, links or creates the account for a provider profile
+var signIn = (provider) => function (req, accessToken, refreshToken, profile, done) {
+    var field = PROVIDERS[provider].field;
+    var byProvider = {};
+    byProvider[field] = String(profile.id);
+    var set = { $set: byProvider };
+
+    User.findOne(byProvider, function (err, owner) {
+        if (err) { return done(err); }
+        var linkTo = req.oauthState && req.oauthState.link;
+
+        if (linkTo) {
+            if (owner && owner.id !== linkTo) {
+                return done(new errors.ConflictError('this ' + provider + ' account is linked to another user'));
+            }
+            return User.findByIdAndUpdate(linkTo, set, { new: true }, function (err, user) {
+                if (err) { return done(err); }
+                if (!user) { return done(new errors.AuthError('user no longer exists')); }
+                done(null, user.id);
+            });
+        }
+        if (owner) {
+            return done(null, owner.id);
+        }
+
+        var email = verifiedEmail(profile);
+        if (!email) {
+            return create(profile, field, undefined, done);
+        }
+        // only an account that proved it owns the address is linked by it: anyone may
+        // sign up with an address they do not own, waiting for its owner to sign in here
+        User.findOneAndUpdate({ email: email, emailVerified: true }, set, { new: true }, function (err, user) {
+            if (err) { return done(err); }
+            if (user) { return done(null, user.id); }
+            User.count({ email: email }, function (err, taken) {
+                if (err) { return done(err); }
+                if (taken) {
+                    return done(new errors.ConflictError('an account with this email address exists, log in with its password and link ' + provider + ' from there'));
+                }
+                create(profile, field, email, done);
+            });
+        });
+    });
+};
+
+// the provider vouches for the address, so it also counts as verified here
+var create = (profile, field, email, done) => {
+    var fields = { email: email, emailVerified: !!email, name: profile.displayName || profile.username };
+    fields[field] = String(profile.id);
+    User.create(fields, function (err, user) {
+        if (err) { return done(err); }
+        done(null, user.id);
+    });
+};
+
+var register = (passport) => {
+    Object.keys(PROVIDERS).filter(enabled).forEach(function (provider) {
+        var env = PROVIDERS[provider].env;
+        var options = {
+            clientID: process.env[env + '_CLIENT_ID'],
+            clientSecret: process.env[env + '_CLIENT_SECRET'],
+            callbackURL: process.env[env + '_CALLBACK_URL'],
+            scope: PROVIDERS[provider].scope,
+            store: stateStore,
+            passReqToCallback: true
+        };
+        if (process.env[env + '_AUTHORIZATION_URL']) { options.authorizationURL = process.env[env + '_AUTHORIZATION_URL']; }
+        if (process.env[env + '_TOKEN_URL']) { options.tokenURL = process.env[env + '_TOKEN_URL']; }
+        var profileURL = process.env[env + '_PROFILE_URL'] || PROVIDERS[provider].profileURL;
+        if (profileURL) { options.userProfileURL = profileURL; }
+        passport.use(new PROVIDERS[provider].Strategy(options, signIn(provider)));
+    });
+};
+
+module.exports = {
+    PROVIDERS: PROVIDERS,
+    enabled: enabled,
+    linkToken: linkToken,
+    verifyLinkToken: verifyLinkToken,
+    register: register
+};
@@ -1,9 +1,11 @@
 'use strict';
 
-var GitHubStrategy = require('passport-github').Strategy;
 var User = require('../models/users');
 var LocalStrategy = require('passport-local').Strategy;
-var crypto = require('crypto');
+var passwords = require('../utils/passwords');
+var lockout = require('../utils/lockout');
+var tokens = require('../utils/tokens');
+var oauth = require('./oauth');
 const passportJWT = require("passport-jwt");
 const JWTStrategy   = passportJWT.Strategy;
 const ExtractJWT = passportJWT.ExtractJwt;
@@ -22,39 +24,55 @@ module.exports = function (passport) {
       if (!user) {
         return done(null, false, { message: 'Incorrect username.' });
       }
-      if (!validPassword(password,user)) {
-        return done(null, false, { message: 'Incorrect password.' });
+      // a locked account is refused without even checking the password
+      var locked = lockout.secondsLeft(user);
+      if (locked) {
+        return done(null, false, { message: 'Account locked.', retryAfter: locked });
       }
-      return done(null, user.id);
+      passwords.verify(password, user, function (err, valid, needsRehash) {
+        if (err) { return done(err); }
+        if (!valid) {
+          return lockout.recordFailure(user, function (err, lockedFor) {
+            if (err) { return done(err); }
+            return done(null, false, { message: 'Incorrect password.', retryAfter: lockedFor });
+          });
+        }
+        lockout.recordSuccess(user, function (err) {
+          if (err) { return done(err); }
+          if (!needsRehash) {
+            return done(null, user.id);
+          }
+          // upgrade hashes from the old sha512 scheme while the plain password is at hand
+          passwords.hash(password, function (err, stored) {
+            if (err) { return done(err); }
+            User.update({ _id: user._id }, passwords.userUpdate(stored), function (err) {
+              if (err) { console.error('password rehash failed for ' + user.id, err); }
+              return done(null, user.id);
+            });
+          });
+        });
+      });
     });
   }
 ));
 
-// to verify using the JWT token
+// to verify using the JWT token; expired tokens are refused by passport-jwt itself
 passport.use(new JWTStrategy({
     jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
     secretOrKey   : process.env.JWT_KEY
 },
 function (jwtPayload, cb) {
-    return User.findById(jwtPayload)
-        .then(user => {
-            return cb(null, user.id);
-        })
-        .catch(err => {
-            return cb(err);
-        });
+    tokens.accessUser(jwtPayload, function (err, user) {
+        if (err || !user) {
+            return cb(err, false);
+        }
+        // the role ends up in req.authInfo for app/middleware/authorize.js
+        return cb(null, user.id, tokens.authInfo(user));
+    });
 }
 ));
 
-
-
-// to validate the sent password with the stored hashed password using salt from the database
-function validPassword(password, user){
-    let temp = user.salt; 
-	let hash_db = user.hashed_password; 
-    let newpass = temp + password; 
-    let hashed_password = crypto.createHash('sha512').update(newpass).digest("hex");
-    return hashed_password==hash_db; 
-}
+// GitHub and Google sign-in, see ./oauth.js
+oauth.register(passport);
 
 };
@@ -0,0 +1,31 @@
+'use strict';
+
+// what each role may do; routes check these through app/middleware/authorize.js
+
+var ROLES = ['student', 'instructor', 'admin'];
+
+var PERMISSIONS = {
+    // create new polls
+    'poll:create': ['instructor', 'admin'],
+    // create courses and attach polls to them
+    'course:create': ['instructor', 'admin'],
+    // see who voted for what on identified polls they own
+    'poll:view_identified': ['instructor', 'admin'],
+    // act as the owner of any poll
+    'poll:manage_any': ['admin'],
+    // promote and demote users
+    'user:manage_roles': ['admin']
+};
+
+var can = (role, permission) => (PERMISSIONS[permission] || []).indexOf(role) !== -1;
+
+// the first admins are named in ADMIN_EMAILS, comma separated; they get the role when
+// they sign up, and accounts that already exist get it from ./migrations.js
+var adminEmails = () => (process.env.ADMIN_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter((e) => e);
+
+module.exports = {
+    ROLES: ROLES,
+    PERMISSIONS: PERMISSIONS,
+    can: can,
+    adminEmails: adminEmails
+};
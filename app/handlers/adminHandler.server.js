@@ -0,0 +1,33 @@
+'use strict';
+
+var Users = require('../models/users.js');
+var errors = require('../utils/errors');
+
+function AdminHandler() {
+
+	this.getUsers = function (req, res, next) {
+		Users
+			.find({}, { name: 1, email: 1, role: 1 })
+			.sort({ email: 1 })
+			.exec(function (err, users) {
+				if (err) { return next(err); }
+				res.json(users.map((u) => ({ id: u.id, name: u.name, email: u.email, role: u.role })));
+			});
+	};
+
+	// promotes or demotes a user; admins cannot change their own role so one always remains
+	this.setRole = function (req, res, next) {
+		if (req.body.user_id === String(req.user))
+			return next(new errors.ForbiddenError('admins cannot change their own role'));
+		Users.findByIdAndUpdate(req.body.user_id, { $set: { role: req.body.role } }, { new: true }, (err, user) => {
+			if (err)
+				return next(err);
+			if (!user)
+				return next(new errors.NotFoundError('user not found'));
+			res.json({ id: user.id, name: user.name, email: user.email, role: user.role });
+		});
+	};
+
+}
+
+module.exports = AdminHandler;
@@ -0,0 +1,70 @@
+var Courses = require('../models/courses');
+var Polls = require('../models/polls');
+var codes = require('../utils/codes');
+var errors = require('../utils/errors');
+
+var JOIN_CODE_LENGTH = 6;
+
+function CourseHandler() {
+
+    // instructor creates a course and gets its join code
+    this.addCourse = (req, res, next) => {
+        codes.withUniqueCode(JOIN_CODE_LENGTH, (code, done) => {
+            Courses.create({ name: req.body.name, owner: String(req.user), students: [], joinCode: code }, done);
+        }, (err, course) => {
+            if (err)
+                return next(err);
+            res.json({ 'course': describe(course, true) });
+        });
+    }
+
+    // student enrolls with the code the instructor shared
+    this.joinCourse = (req, res, next) => {
+        Courses.findOneAndUpdate(
+            { joinCode: codes.normalize(req.body.code) },
+            { $addToSet: { students: String(req.user) } },
+            { new: true },
+            (err, course) => {
+                if (err)
+                    return next(err);
+                if (!course)
+                    return next(new errors.NotFoundError('no course with this join code'));
+                res.json({ 'course': describe(course, course.owner === String(req.user)) });
+            }
+        );
+    }
+
+    // courses the user teaches, each with its polls, and courses the user is enrolled in
+    this.getCourses = (req, res, next) => {
+        var userId = String(req.user);
+        Courses.find({ $or: [{ owner: userId }, { students: userId }] }).sort({ createdAt: 1 }).exec((err, courses) => {
+            if (err)
+                return next(err);
+            var teaching = courses.filter((c) => c.owner === userId);
+            Polls.find({ course: { $in: teaching.map((c) => c.id) }, archived: { $ne: true } }, { voters: 0, history: 0 }, (err, polls) => {
+                if (err)
+                    return next(err);
+                res.json({
+                    teaching: teaching.map((c) => {
+                        var course = describe(c, true);
+                        course.polls = polls.filter((p) => p.course === c.id);
+                        return course;
+                    }),
+                    enrolled: courses.filter((c) => c.owner !== userId).map((c) => describe(c, false))
+                });
+            });
+        });
+    }
+
+    // the join code and roster are only shown to the course owner
+    var describe = (course, asOwner) => {
+        var result = { id: course.id, name: course.name, owner: course.owner };
+        if (asOwner) {
+            result.joinCode = course.joinCode;
+            result.students = course.students;
+        }
+        return result;
+    }
+};
+
+module.exports = CourseHandler;
@@ -1,88 +1,1127 @@
+var mongoose = require('mongoose');
 var Users = require('../models/users');
 var Polls = require('../models/polls');
+var Ballots = require('../models/ballots');
+var Courses = require('../models/courses');
+var PollTemplates = require('../models/pollTemplates');
+var votes = require('../utils/votes');
+var exporter = require('../utils/exporter');
+var errors = require('../utils/errors');
+var access = require('../utils/access');
+var receipts = require('../utils/receipts');
+var quizzes = require('../utils/quiz');
+var results = require('../utils/results');
+var scales = require('../utils/scales');
+var answers = require('../utils/answers');
+var codes = require('../utils/codes');
+var links = require('../utils/links');
+var qrcode = require('../utils/qrcode');
+var pollImport = require('../utils/pollImport');
+var validate = require('../validation');
+var schemas = require('../validation/schemas');
+var authorize = require('../middleware/authorize');
 
-function PollHandler() {
+var JOIN_CODE_LENGTH = 6;
 
-    // to create new poll 
-    this.addPoll = (req, res) => {
-        var opts = [];
-        for (var i = 0; i < JSON.parse(req.body.options).length; i++) {
-            var opt = JSON.parse(req.body.options)[i];
-            var cur = {
-                option: opt,
-                score: 0
+// poll settings that only apply to some question types
+var TYPE_FIELDS = {
+    max_length: ['text'],
+    moderated: ['text'],
+    min_value: ['numeric', 'scale'],
+    max_value: ['numeric', 'scale'],
+    integer_only: ['numeric'],
+    weights: ['choice', 'scale']
+};
+
+function PollHandler(sockets) {
+
+    // to create new poll, the request has been checked against schemas.newPoll
+    this.addPoll = (req, res, next) => {
+        var poll = pollFields(req.user, req.body);
+        if (poll.error)
+            return next(new errors.ValidationError(poll.error.field + ' ' + poll.error.message, [Object.assign({ location: 'body' }, poll.error)]));
+        attachableCourse(req, next, (courseId) => {
+            poll.fields.course = courseId;
+            createPolls(req.user, [poll.fields], (err, polls) => {
+                if (err)
+                    return next(err);
+                res.json({ 'poll': polls[0] });
+            });
+        });
+
+    }
+
+    // creates polls from a CSV or JSON file, see app/utils/pollImport.js; every row is
+    // checked like a /auth/new_poll request, the valid ones are created together and
+    // the others reported by their 1-based row number
+    this.importPolls = (req, res, next) => {
+        var parsed = pollImport.rows(req);
+        if (parsed.error)
+            return next(parsed.error);
+        var rowErrors = [];
+        var valid = [];
+        parsed.rows.forEach((row, i) => {
+            var problems = validate.fields(row, schemas.newPoll.body, 'row');
+            var poll = problems.length ? null : pollFields(req.user, row);
+            if (poll && poll.error)
+                problems.push(Object.assign({ location: 'row' }, poll.error));
+            if (problems.length)
+                return rowErrors.push({ row: i + 1, problems: problems });
+            valid.push({ row: i + 1, courseId: row.course_id, fields: poll.fields });
+        });
+        attachableCourses(req, valid.map((p) => p.courseId).filter((id) => id), (err, allowed) => {
+            if (err)
+                return next(err);
+            valid = valid.filter((p) => {
+                if (p.courseId && !allowed[p.courseId]) {
+                    rowErrors.push({ row: p.row, problems: [{ field: 'course_id', location: 'row', message: 'is not one of your courses' }] });
+                    return false;
+                }
+                p.fields.course = p.courseId;
+                return true;
+            });
+            rowErrors.sort((a, b) => a.row - b.row);
+            if (!valid.length)
+                return next(new errors.ValidationError('no valid polls in the file', rowErrors));
+            createPolls(req.user, valid.map((p) => p.fields), (err, polls) => {
+                if (err)
+                    return next(err);
+                res.status(200).json({
+                    created: polls.map((poll, i) => ({ row: valid[i].row, id: poll.id, name: poll.name, joinCode: poll.joinCode })),
+                    errors: rowErrors
+                });
+            });
+        });
+    }
+
+    // owner saves the settings of a poll as a template for new ones
+    this.saveTemplate = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            var definition = {
+                name: poll.name,
+                question_type: poll.questionType,
+                ballot_type: poll.ballotType,
+                privacy: poll.privacy,
+                allow_vote_changes: poll.allowVoteChanges,
+                results_visibility: poll.resultsVisibility
+            };
+            var rules = poll.answerRules || {};
+            if (poll.questionType === 'choice' || poll.questionType === 'scale')
+                definition.options = poll.options.map((opt) => opt.option);
+            if (scales.isWeighted(poll))
+                definition.weights = poll.options.map((opt) => opt.weight || 0);
+            if (poll.questionType === 'scale') {
+                definition.min_value = rules.min;
+                definition.max_value = rules.max;
             }
-            opts.push(cur);
-        }
-        var poll = new Polls({
-            name: req.body.name,
-            options: opts
+            if (poll.questionType === 'text') {
+                definition.max_length = rules.maxLength;
+                definition.moderated = poll.moderated;
+            }
+            if (poll.questionType === 'numeric') {
+                definition.min_value = rules.min;
+                definition.max_value = rules.max;
+                definition.integer_only = rules.integer;
+            }
+            if (poll.maxChoices)
+                definition.max_choices = poll.maxChoices;
+            if (poll.isQuiz()) {
+                definition.correct_options = poll.quiz.correct;
+                definition.points = poll.quiz.points;
+                definition.feedback = poll.quiz.feedback;
+            }
+            PollTemplates.create({ owner: String(req.user), name: req.body.name || poll.name, definition: definition }, (err, template) => {
+                if (err)
+                    return next(err);
+                res.status(200).json({ 'template': template });
+            });
         });
+    }
 
-        poll.save((err) => {
+    this.getTemplates = (req, res, next) => {
+        PollTemplates.find({ owner: String(req.user) }).sort({ createdAt: -1 }).exec((err, templates) => {
             if (err)
-                res.status(400).send(err);
+                return next(err);
+            res.status(200).json(templates);
+        });
+    }
 
-                // add poll to the user's document
-            Users.update(
-                { _id: req.user },
-                { $push: { polls: poll.id } },
-                (done) => {
-                    delete poll.voters;
-                    res.json({ 'poll': poll });
-                }
-            );
+    // creates a poll from a template; the request may rename it and give it a
+    // schedule and course, which are checked along with the template's settings
+    this.useTemplate = (req, res, next) => {
+        PollTemplates.findOne({ _id: req.body.template_id, owner: String(req.user) }, (err, template) => {
+            if (err)
+                return next(err);
+            if (!template)
+                return next(new errors.NotFoundError('template not found'));
+            var body = Object.assign({}, template.definition);
+            ['name', 'opens_at', 'closes_at', 'course_id'].forEach((field) => {
+                if (req.body[field] !== undefined)
+                    body[field] = req.body[field];
+            });
+            // the limits may have changed since the template was saved
+            var problems = validate.fields(body, schemas.newPoll.body, 'body');
+            if (problems.length)
+                return next(new errors.ValidationError('invalid poll from template', problems));
+            req.body = body;
+            this.addPoll(req, res, next);
+        });
+    }
+
+    this.deleteTemplate = (req, res, next) => {
+        PollTemplates.findOneAndRemove({ _id: req.body.template_id, owner: String(req.user) }, (err, template) => {
+            if (err)
+                return next(err);
+            if (!template)
+                return next(new errors.NotFoundError('template not found'));
+            res.status(200).json({ 'deleted': template.id });
+        });
+    }
+
+    // resolves a join code typed in or opened from a share link: browsers are sent
+    // to the vote dialog on the home page, API clients get the poll id
+    this.resolveJoinCode = (req, res, next) => {
+        Polls.findOne({ joinCode: codes.normalize(req.params.code) }, { _id: 1, joinCode: 1 }, (err, poll) => {
+            if (err)
+                return next(err);
+            if (!poll)
+                return next(new errors.NotFoundError('no poll with this join code'));
+            if (req.accepts(['html', 'json']) === 'json')
+                return res.status(200).json({ poll_id: poll.id, code: poll.joinCode });
+            res.redirect('/?vote=' + poll.id);
         });
+    }
+
+    // QR code of a poll's share link, as an SVG image to project
+    this.getJoinQrCode = (req, res, next) => {
+        var code = codes.normalize(req.params.code);
+        Polls.count({ joinCode: code }, (err, count) => {
+            if (err)
+                return next(err);
+            if (!count)
+                return next(new errors.NotFoundError('no poll with this join code'));
+            res.type('image/svg+xml');
+            res.set('Cache-Control', 'public, max-age=86400');
+            res.send(qrcode.toSvg(links.pollLink(code)));
+        });
+    }
 
+    // owner gets the join code and share links of a poll; polls created before join
+    // codes existed get one now
+    this.getShareInfo = (req, res, next) => {
+        findOwnedPoll(req, req.query.poll_id, next, (poll) => {
+            var send = (joinCode) => res.status(200).json({
+                code: joinCode,
+                url: links.pollLink(joinCode),
+                qr_code: links.pollLink(joinCode) + '/qr.svg'
+            });
+            if (poll.joinCode)
+                return send(poll.joinCode);
+            codes.withUniqueCode(JOIN_CODE_LENGTH, (code, done) => {
+                Polls.findOneAndUpdate({ _id: poll._id, joinCode: null }, { $set: { joinCode: code } }, { new: true }, done);
+            }, (err, updated) => {
+                if (err)
+                    return next(err);
+                // a concurrent request gave the poll its code first
+                if (!updated)
+                    return Polls.findById(poll._id, { joinCode: 1 }, (err, current) => {
+                        if (err)
+                            return next(err);
+                        send(current.joinCode);
+                    });
+                send(updated.joinCode);
+            });
+        });
     }
 
     // utility function to find poll by id
-    this.getPollById = (req, res) => {
+    this.getPollById = (req, res, next) => {
         Polls.findById(req.body.poll_id, (err, poll) => {
-            console.log(req.body);
             if (err)
-                return res.status(400).send(err);
-            res.status(200).json(poll);
+                return next(err);
+            if (!poll)
+                return next(new errors.NotFoundError('poll not found'));
+            checkCourse(req, poll, next, () => {
+                viewFor(req, poll, null, (err, view) => {
+                    if (err)
+                        return next(err);
+                    res.status(200).json(view);
+                });
+            });
         });
     }
 
     // called when a user votes on a poll
-    this.update = (req, res,socket) => {
+    this.update = (req, res, next) => {
         Polls.findById(req.body.poll_id, (err, poll) => {
             if (err)
-                return res.status(400).send(err);
+                return next(err);
+            if (!poll)
+                return next(new errors.NotFoundError('poll not found'));
+
+            var ballot = parseVote(poll, req.body);
+            if (ballot.error)
+                return next(ballot.error);
+
+            checkCourse(req, poll, next, () => {
+                // one vote per person and the voting window are enforced by the atomic update itself
+                votes.recordVote(poll, req.user, ballot, (err, updated) => sendTally(err, updated, req, res, next));
+            });
+        })
+    }
+
+    // called when a voter replaces their ballot with a new one
+    this.changeVote = (req, res, next) => {
+        findChangeablePoll(req, next, (poll) => {
+            var ballot = parseVote(poll, req.body);
+            if (ballot.error)
+                return next(ballot.error);
+            Ballots.findOne({ poll: poll.id, voter: req.user }, (err, previous) => {
+                if (err)
+                    return next(err);
+                if (!previous)
+                    return next(new errors.NotFoundError('you have not voted on this poll'));
+                // only the field the question type answers with, mongoose refuses to set
+                // the other one to undefined
+                var set = poll.questionType === 'text' ? { text: ballot.text }
+                    : poll.questionType === 'numeric' ? { value: ballot.value }
+                    : { choices: ballot.choices };
+                set.changedAt = new Date();
+                // a changed text answer waits for moderation again
+                if (ballot.text !== undefined && poll.moderated)
+                    set.moderation = 'pending';
+                // moves the tally from the previous choices to the new ones, or back
+                var scores = (sign) => votes.addScores(votes.addScores({}, poll, previous.choices, -sign), poll, ballot.choices || [], sign);
+                // the tally moves first, as in votes.recordVote, and moves back when the
+                // ballot cannot be replaced, so it never counts a ballot that is not stored
+                updateTally(poll, req.user, votes.withScores({}, scores(1)), (err, updated) => {
+                    if (err || !updated)
+                        return sendTally(err, updated, req, res, next);
+                    Ballots.findOneAndUpdate(ballotGuard(poll, previous), { $set: set }, (err, replaced) => {
+                        if (!err && replaced)
+                            return sendTally(null, updated, req, res, next);
+                        updateTally(poll, req.user, votes.withScores({}, scores(-1)),
+                            () => next(err || new errors.ConflictError('your vote was changed concurrently, try again')));
+                    });
+                });
+            });
+        });
+    }
+
+    // called when a voter withdraws their ballot altogether
+    this.retractVote = (req, res, next) => {
+        findChangeablePoll(req, next, (poll) => {
+            Ballots.findOne({ poll: poll.id, voter: req.user }, (err, previous) => {
+                if (err)
+                    return next(err);
+                if (!previous)
+                    return next(new errors.NotFoundError('you have not voted on this poll'));
+                // as in changeVote the tally goes first and the voter is counted again
+                // when the ballot cannot be removed
+                updateTally(poll, req.user, votes.withScores({ $pull: { voters: req.user } }, votes.addScores({}, poll, previous.choices, -1)), (err, updated) => {
+                    if (err || !updated)
+                        return sendTally(err, updated, req, res, next);
+                    Ballots.findOneAndRemove(ballotGuard(poll, previous), (err, removed) => {
+                        if (!err && removed)
+                            return sendTally(null, updated, req, res, next);
+                        Polls.findOneAndUpdate(
+                            { _id: poll._id, voters: { $ne: req.user } },
+                            votes.withScores({ $push: { voters: req.user } }, votes.addScores({}, poll, previous.choices, 1)),
+                            () => next(err || new errors.ConflictError('your vote was changed concurrently, try again'))
+                        );
+                    });
+                });
+            });
+        });
+    }
+
+    // owner lists who voted for what on an identified poll, routed through authorize('poll:view_identified')
+    this.getBallots = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (poll.privacy === 'anonymous')
+                return next(new errors.ForbiddenError('ballots of anonymous polls are not linked to voters'));
+            Ballots.find({ poll: poll.id }).sort({ createdAt: 1 }).exec((err, list) => {
+                if (err)
+                    return next(err);
+                Users.find({ _id: { $in: list.map((b) => b.voter) } }, { name: 1, email: 1 }, (err, users) => {
+                    if (err)
+                        return next(err);
+                    var byId = {};
+                    users.forEach((u) => { byId[u.id] = { id: u.id, name: u.name, email: u.email }; });
+                    res.status(200).json(list.map((b) => ({
+                        voter: byId[b.voter] || { id: b.voter },
+                        choices: b.choices.map((i) => poll.options[i].option),
+                        text: b.text,
+                        value: b.value,
+                        createdAt: b.createdAt
+                    })));
+                });
+            });
+        });
+    }
+
+    // owner downloads the tallies, and on identified polls the ballots, as CSV or JSON
+    this.exportPoll = (req, res, next) => {
+        var format = req.query.format;
+        var rows = req.query.rows;
+        findOwnedPoll(req, req.query.poll_id, next, (poll) => {
+            if (format === 'csv' && rows === 'ballots' && poll.privacy === 'anonymous')
+                return next(new errors.ForbiddenError('ballots of anonymous polls are not linked to voters'));
+            var identified = poll.privacy !== 'anonymous' && authorize.can(req, 'poll:view_identified');
+            if (format === 'csv' && rows === 'ballots' && !identified)
+                return next(new errors.ForbiddenError('your role does not allow seeing identified results'));
+            var tallies = poll.options.map((opt) => ({ option: opt.option, score: opt.score }));
+            // what a ballot chose, or the answer it gave to an open question
+            var describe = (b) => {
+                if (answers.isOpen(poll))
+                    return [b.text !== undefined ? b.text : b.value];
+                return b.choices.map((i) => poll.options[i] ? poll.options[i].option : '#' + i);
+            };
+
+            // open questions have no option scores, their answers are summed up instead
+            var summary = (done) => {
+                if (!answers.isOpen(poll))
+                    return done();
+                results.withResults(poll, (err, result) => {
+                    if (err)
+                        return next(err);
+                    done(result.results);
+                });
+            };
 
-            // to ensure one vote per person
-            if (contains(req.user, poll.voters)) {
-                return res.status(400).send('only one vote per user');
+            if (format === 'csv' && rows === 'tallies')
+                return summary((summed) => {
+                    exporter.startDownload(res, poll, 'results', 'csv');
+                    exporter.tallyRows(poll, summed).forEach((row) => res.write(exporter.csvRow(row)));
+                    res.end();
+                });
+            if (format === 'json' && !identified)
+                return summary((summed) => {
+                    exporter.startDownload(res, poll, 'results', 'json');
+                    res.end(JSON.stringify({ poll: exportInfo(poll), tallies: tallies, results: summed }));
+                });
+
+            // voter names are looked up once, ballots are streamed straight from the cursor
+            Users.find({ _id: { $in: poll.voters } }, { name: 1, email: 1 }, (err, users) => {
+                if (err)
+                    return next(err);
+                var byId = {};
+                users.forEach((u) => { byId[u.id] = u; });
+                var cursor = Ballots.find({ poll: poll.id }).sort({ createdAt: 1 }).cursor();
+                var finish = (err) => {
+                    if (err)
+                        return next(err);
+                    res.end(format === 'json' ? ']}' : '');
+                };
+
+                if (format === 'csv') {
+                    exporter.startDownload(res, poll, 'ballots', 'csv');
+                    res.write(exporter.csvRow(['voter_id', 'name', 'email', answers.isOpen(poll) ? 'answer' : 'choices', 'created_at', 'changed_at']));
+                    return exporter.streamCursor(cursor, res, (b) => {
+                        var user = byId[b.voter] || {};
+                        var separator = poll.ballotType === 'ranked' ? ' > ' : '; ';
+                        // an open answer keeps its type, a numeric one is not escaped as text
+                        var described = answers.isOpen(poll) ? describe(b)[0] : describe(b).join(separator);
+                        return exporter.csvRow([b.voter, user.name, user.email, described,
+                            b.createdAt && b.createdAt.toISOString(), b.changedAt && b.changedAt.toISOString()]);
+                    }, finish);
+                }
+                exporter.startDownload(res, poll, 'results', 'json');
+                res.write(JSON.stringify({ poll: exportInfo(poll), tallies: tallies }).slice(0, -1) + ',"ballots":[');
+                exporter.streamCursor(cursor, res, (b, first) => {
+                    var user = byId[b.voter] || {};
+                    return (first ? '' : ',') + JSON.stringify({
+                        voter: { id: b.voter, name: user.name, email: user.email },
+                        choices: describe(b),
+                        createdAt: b.createdAt,
+                        changedAt: b.changedAt
+                    });
+                }, finish);
+            });
+        });
+    }
+
+    // owner renames the poll
+    this.renamePoll = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            editPoll(poll, res, next, {}, {
+                $set: { name: req.body.name },
+                $push: { history: historyEntry(req.user, 'rename', { from: poll.name, to: req.body.name }) }
+            });
+        });
+    }
+
+    // owner appends an option, existing choices keep their indices; on weighted polls
+    // the new option needs a weight too
+    this.addOption = (req, res, next) => {
+        var weight = req.body.weight;
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (answers.isOpen(poll))
+                return next(noOptions(poll));
+            if (poll.questionType === 'scale')
+                return next(fixedScale());
+            if (weight !== undefined && poll.ballotType === 'ranked')
+                return next(new errors.ValidationError('weight cannot be set on ranked polls'));
+            if (weight === undefined && scales.isWeighted(poll))
+                return next(new errors.ValidationError('weight is required, the options of this poll are weighted'));
+            // ballots can only name the first MAX_OPTIONS options
+            if (poll.options.length >= schemas.MAX_OPTIONS)
+                return next(tooManyOptions());
+            var entry = historyEntry(req.user, 'add_option', { index: poll.options.length, option: req.body.option, weight: weight });
+            // a concurrent add may have taken the last place
+            var guard = {};
+            guard['options.' + (schemas.MAX_OPTIONS - 1)] = { $exists: false };
+            editPoll(poll, res, next, guard, {
+                $push: { options: { option: req.body.option, score: 0, weight: weight }, history: entry }
+            });
+        });
+    }
+
+    // owner rewords an option; the old wording stays in the history
+    this.editOption = (req, res, next) => {
+        var index = req.body.index;
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (answers.isOpen(poll))
+                return next(noOptions(poll));
+            if (!poll.options[index])
+                return next(new errors.ValidationError('index must be the index of one of the poll options'));
+            var set = {};
+            set['options.' + index + '.option'] = req.body.option;
+            var guard = {};
+            guard['options.' + index] = { $exists: true };
+            editPoll(poll, res, next, guard, {
+                $set: set,
+                $push: { history: historyEntry(req.user, 'edit_option', {
+                    index: index, from: poll.options[index].option, to: req.body.option
+                }) }
+            });
+        });
+    }
+
+    // owner removes an option. Ballots store option indices, so once a poll has votes
+    // this is only allowed together with a reset that clears every vote
+    this.removeOption = (req, res, next) => {
+        var index = req.body.index;
+        var reset = req.body.reset;
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (answers.isOpen(poll))
+                return next(noOptions(poll));
+            if (poll.questionType === 'scale')
+                return next(fixedScale());
+            if (!poll.options[index])
+                return next(new errors.ValidationError('index must be the index of one of the poll options'));
+            if (poll.options.length <= 2)
+                return next(new errors.ValidationError('a poll needs at least two options'));
+            var votesCast = poll.voters.length;
+            if (votesCast > 0 && !reset)
+                return next(new errors.ConflictError('poll already has votes, removing an option requires reset to clear them'));
+
+            var options = poll.options
+                .filter((opt, i) => i !== index)
+                .map((opt) => ({ _id: opt._id, option: opt.option, score: reset ? 0 : opt.score, weight: opt.weight }));
+            var entry = historyEntry(req.user, 'remove_option', {
+                index: index, option: poll.options[index].option, reset: reset, votesCleared: reset ? votesCast : 0
+            });
+            var update = { $set: { options: options }, $push: { history: entry } };
+            if (reset)
+                update.$set.voters = [];
+            if (poll.isQuiz()) {
+                var correct = poll.quiz.correct.filter((i) => i !== index).map((i) => i > index ? i - 1 : i);
+                if (!correct.length)
+                    return next(new errors.ConflictError('this is the only correct option, mark another one first'));
+                update.$set['quiz.correct'] = correct;
             }
+            // without a reset, refuse if a vote slipped in since the poll was read
+            var guard = reset ? {} : { voters: { $size: 0 } };
+            editPoll(poll, res, next, guard, update, reset);
+        });
+    }
+
+    // owner reads the edit history of the poll
+    this.getHistory = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            res.status(200).json(poll.history);
+        });
+    }
 
+    // owner archives the poll, it stays readable but stops taking votes
+    this.archivePoll = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (poll.archived)
+                return next(new errors.ConflictError('poll is already archived'));
+            editPoll(poll, res, next, {}, {
+                $set: { archived: true, archivedAt: new Date() },
+                $push: { history: historyEntry(req.user, 'archive', {}) }
+            });
+        });
+    }
 
-            poll.options[req.body.option].score += 1;
+    this.unarchivePoll = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (!poll.archived)
+                return next(new errors.ConflictError('poll is not archived'));
+            editPoll(poll, res, next, {}, {
+                $set: { archived: false },
+                $unset: { archivedAt: '' },
+                $push: { history: historyEntry(req.user, 'unarchive', {}) }
+            });
+        });
+    }
 
-            var voters = poll.voters;
-            voters.push(req.user);
-            poll.voters = voters;
-            poll.save((err) => {
+    // owner deletes the poll for good, with its ballots and its id in the user's polls
+    this.deletePoll = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            Polls.findByIdAndRemove(poll._id, (err) => {
                 if (err)
-                    return res.status(400).send(err);
-                // delete voters to reduce response size
-                delete poll.voters;
-                // broadcast result to all the viewers 
-                socket.sockets.emit('vote',poll);
-                res.status(200).json(poll);
-            })
+                    return next(err);
+                Ballots.remove({ poll: poll.id }, (err) => {
+                    if (err)
+                        return next(err);
+                    Users.update({ polls: poll.id }, { $pull: { polls: poll.id } }, { multi: true }, (err) => {
+                        if (err)
+                            return next(err);
+                        res.status(200).json({ 'deleted': poll.id });
+                    });
+                });
+            });
+        });
+    }
 
-        })
+    // owner opens a scheduled poll ahead of its opensAt
+    this.openPoll = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            var status = poll.currentStatus();
+            if (status === 'open')
+                return next(new errors.ConflictError('poll is already open'));
+            if (status === 'closed')
+                return next(new errors.ConflictError('poll is closed, reopen it instead'));
+            poll.status = 'open';
+            poll.opensAt = new Date();
+            savePoll(poll, res, next);
+        });
     }
-    // utility function to check if the user has voted on the given poll
-    var contains = (userId, voters) => {
-        for (var i = 0; i < voters.length; i++) {
-            if (voters[i] == userId)
-                return true;
+
+    // owner closes an open or scheduled poll immediately
+    this.closePoll = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (poll.currentStatus() === 'closed')
+                return next(new errors.ConflictError('poll is already closed'));
+            poll.status = 'closed';
+            poll.closesAt = new Date();
+            savePoll(poll, res, next, true);
+        });
+    }
+
+    // owner reopens a closed poll, optionally with a new closing time
+    this.reopenPoll = (req, res, next) => {
+        var closesAt = req.body.closes_at;
+        if (closesAt && closesAt <= new Date())
+            return next(new errors.ValidationError('closes_at must be a date in the future'));
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (poll.currentStatus() !== 'closed')
+                return next(new errors.ConflictError('poll is not closed'));
+            poll.status = 'open';
+            poll.closesAt = closesAt;
+            savePoll(poll, res, next, true);
+        });
+    }
+
+    // owner shows the tallies to everyone at once, e.g. after a vote in class
+    this.revealResults = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            Polls.findOneAndUpdate(
+                { _id: poll._id, revealedAt: null },
+                { $set: { revealedAt: new Date() }, $push: { history: historyEntry(req.user, 'reveal', {}) } },
+                { new: true },
+                (err, updated) => {
+                    if (err)
+                        return next(err);
+                    if (!updated)
+                        return next(new errors.ConflictError('results are already revealed'));
+                    results.withResults(updated, (err, result) => {
+                        if (err)
+                            return next(err);
+                        sockets.publishResults(updated, result);
+                        res.status(200).json(result);
+                    });
+                }
+            );
+        });
+    }
+
+    // owner changes who sees the tallies; this also takes back an earlier reveal
+    this.setResultsVisibility = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            var from = poll.resultsVisibility;
+            var to = req.body.results_visibility;
+            // the history records the visibility replaced; polls made before there was one
+            // have none stored and show results always
+            var guard = { _id: poll._id, resultsVisibility: from === 'always' ? { $in: ['always', null] } : from };
+            Polls.findOneAndUpdate(guard, {
+                $set: { resultsVisibility: to },
+                $unset: { revealedAt: 1 },
+                $push: { history: historyEntry(req.user, 'results_visibility', { from: from, to: to }) }
+            }, { new: true }, (err, updated) => {
+                if (err)
+                    return next(err);
+                if (!updated)
+                    return next(new errors.ConflictError('poll changed while editing, reload it and try again'));
+                results.withResults(updated, (err, result) => {
+                    if (err)
+                        return next(err);
+                    sockets.publishResults(updated, result);
+                    res.status(200).json({ 'poll': updated });
+                });
+            });
+        });
+    }
+
+    // owner marks the correct options, which turns the poll into a quiz
+    this.setQuizAnswers = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            var checked = quizFields(req.body, poll);
+            if (checked.error)
+                return next(new errors.ValidationError(checked.error.field + ' ' + checked.error.message, [Object.assign({ location: 'body' }, checked.error)]));
+            var quiz = checked.quiz;
+            // the indexes are only right for the options as they were read
+            editPoll(poll, res, next, { options: { $size: poll.options.length } }, {
+                $set: { quiz: quiz },
+                $push: { history: historyEntry(req.user, 'quiz_answers', { correct: quiz.correct, points: quiz.points, feedback: quiz.feedback }) }
+            });
+        });
+    }
+
+    // owner lists the text answers of a poll, newest first (in no particular order on
+    // anonymous polls), optionally only those waiting for moderation or already decided
+    this.getResponses = (req, res, next) => {
+        findOwnedPoll(req, req.query.poll_id, next, (poll) => {
+            if (poll.questionType !== 'text')
+                return next(new errors.ConflictError('poll does not take text answers'));
+            var query = { poll: poll.id };
+            if (req.query.status)
+                query.moderation = req.query.status;
+            Ballots.find(query, { text: 1, moderation: 1, createdAt: 1, changedAt: 1 }).sort({ _id: -1 }).exec((err, list) => {
+                if (err)
+                    return next(err);
+                res.status(200).json(list.map((b) => ({
+                    id: b.id,
+                    text: b.text,
+                    moderation: b.moderation,
+                    createdAt: b.createdAt,
+                    changedAt: b.changedAt
+                })));
+            });
+        });
+    }
+
+    // owner approves or rejects a text answer; only approved answers of a moderated
+    // poll show in its results, which subscribers get again right away
+    this.moderateResponse = (req, res, next) => {
+        findOwnedPoll(req, req.body.poll_id, next, (poll) => {
+            if (poll.questionType !== 'text')
+                return next(new errors.ConflictError('poll does not take text answers'));
+            Ballots.findOneAndUpdate(
+                { _id: req.body.response_id, poll: poll.id },
+                { $set: { moderation: req.body.decision } },
+                { new: true },
+                (err, response) => {
+                    if (err)
+                        return next(err);
+                    if (!response)
+                        return next(new errors.NotFoundError('response not found'));
+                    results.withResults(poll, (err, result) => {
+                        if (err)
+                            return next(err);
+                        sockets.publishResults(poll, result);
+                        res.status(200).json({ 'response': { id: response.id, text: response.text, moderation: response.moderation } });
+                    });
+                }
+            );
+        });
+    }
+
+    // utility function to admit only the owner and enrolled students to a course's poll
+    var checkCourse = (req, poll, next, done) => {
+        access.checkCourse(req, poll, (err) => {
+            if (err)
+                return next(err);
+            done();
+        });
+    }
+
+    // utility function to check the optional course_id of a new poll belongs to its creator
+    var attachableCourse = (req, next, done) => {
+        if (!req.body.course_id)
+            return done();
+        Courses.findById(req.body.course_id, (err, course) => {
+            if (err)
+                return next(err);
+            if (!course)
+                return next(new errors.NotFoundError('course not found'));
+            if (course.owner !== String(req.user) && !authorize.can(req, 'poll:manage_any'))
+                return next(new errors.ForbiddenError('polls can only be added to your own courses'));
+            done(course.id);
+        });
+    }
+
+    // ids of the courses, among those given, the user may attach polls to: done(err, { id: true })
+    var attachableCourses = (req, courseIds, done) => {
+        if (!courseIds.length)
+            return done(null, {});
+        var query = { _id: { $in: courseIds } };
+        if (!authorize.can(req, 'poll:manage_any'))
+            query.owner = String(req.user);
+        Courses.find(query, { _id: 1 }, (err, courses) => {
+            if (err)
+                return done(err);
+            var allowed = {};
+            courses.forEach((course) => { allowed[course.id] = true; });
+            done(null, allowed);
+        });
+    }
+
+    // utility function to turn a body checked against schemas.newPoll into the fields
+    // of a new poll, without its course; returns { fields } or { error: { field, message } }
+    var pollFields = (userId, body) => {
+        var questionType = body.question_type || 'choice';
+        var open = answers.isOpen({ questionType: questionType });
+        var misplaced = Object.keys(TYPE_FIELDS).filter((field) => body[field] !== undefined && TYPE_FIELDS[field].indexOf(questionType) === -1)[0];
+        if (misplaced)
+            return { error: { field: misplaced, message: 'only applies to ' + TYPE_FIELDS[misplaced].join(' and ') + ' questions' } };
+        if (open && body.options)
+            return { error: { field: 'options', message: 'cannot be set on ' + questionType + ' questions' } };
+        if (questionType !== 'choice' && body.ballot_type && body.ballot_type !== 'single')
+            return { error: { field: 'ballot_type', message: 'only applies to choice questions' } };
+        if (questionType === 'choice' && !body.options)
+            return { error: { field: 'options', message: 'is required' } };
+        var answerRules;
+        if (questionType === 'text')
+            answerRules = { maxLength: body.max_length || answers.TEXT_MAX_LENGTH };
+        if (questionType === 'numeric') {
+            if (body.min_value !== undefined && body.max_value !== undefined && body.max_value <= body.min_value)
+                return { error: { field: 'max_value', message: 'must be greater than min_value' } };
+            answerRules = { min: body.min_value, max: body.max_value, integer: body.integer_only === true };
+        }
+        var opts;
+        if (questionType === 'scale') {
+            var scale = scaleFields(body);
+            if (scale.error)
+                return scale;
+            answerRules = scale.rules;
+            opts = scale.options;
+        } else {
+            if (body.weights && body.ballot_type === 'ranked')
+                return { error: { field: 'weights', message: 'cannot be set on ranked polls' } };
+            if (body.weights && body.weights.length !== body.options.length)
+                return { error: { field: 'weights', message: 'must have one weight per option' } };
+            opts = (body.options || []).map((opt, i) => ({
+                option: opt,
+                score: 0,
+                weight: body.weights ? body.weights[i] : undefined
+            }));
         }
-        return false;
+        var ballotType = body.ballot_type || 'single';
+        var maxChoices;
+        if (ballotType === 'multiple') {
+            maxChoices = body.max_choices || opts.length;
+            if (maxChoices > opts.length)
+                return { error: { field: 'max_choices', message: 'must be between 1 and the number of options' } };
+        }
+        var privacy = body.privacy || 'identified';
+        var opensAt = body.opens_at;
+        var closesAt = body.closes_at;
+        if (opensAt && closesAt && closesAt <= opensAt)
+            return { error: { field: 'closes_at', message: 'must be after opens_at' } };
+        var quiz;
+        if (body.correct_options) {
+            var checked = quizFields(body, { questionType: questionType, options: opts, ballotType: ballotType, privacy: privacy, maxChoices: maxChoices });
+            if (checked.error)
+                return checked;
+            quiz = checked.quiz;
+        }
+        return { fields: {
+            name: body.name,
+            questionType: questionType,
+            answerRules: answerRules,
+            moderated: body.moderated === true,
+            options: opts,
+            ballotType: ballotType,
+            maxChoices: maxChoices,
+            privacy: privacy,
+            quiz: quiz,
+            allowVoteChanges: body.allow_vote_changes === true,
+            resultsVisibility: body.results_visibility || 'always',
+            opensAt: opensAt,
+            closesAt: closesAt,
+            status: opensAt && opensAt > new Date() ? 'scheduled' : 'open',
+            history: [historyEntry(userId, 'create', { name: body.name, options: opts.map((o) => o.option) })]
+        } };
+    }
+
+    // utility function to check the end points of a new scale poll, 1 to 5 unless set,
+    // and its optional labels and weights; returns { rules, options } or { error }
+    var scaleFields = (body) => {
+        var min = body.min_value !== undefined ? body.min_value : scales.DEFAULT_MIN;
+        var max = body.max_value !== undefined ? body.max_value : scales.DEFAULT_MAX;
+        if (!Number.isInteger(min))
+            return { error: { field: 'min_value', message: 'must be a whole number on scale questions' } };
+        if (!Number.isInteger(max))
+            return { error: { field: 'max_value', message: 'must be a whole number on scale questions' } };
+        if (max <= min)
+            return { error: { field: 'max_value', message: 'must be greater than min_value' } };
+        var points = max - min + 1;
+        if (points > schemas.MAX_OPTIONS)
+            return { error: { field: 'max_value', message: 'must leave at most ' + schemas.MAX_OPTIONS + ' points on the scale' } };
+        if (body.options && body.options.length !== points)
+            return { error: { field: 'options', message: 'must have one label per point of the scale' } };
+        if (body.weights && body.weights.length !== points)
+            return { error: { field: 'weights', message: 'must have one weight per point of the scale' } };
+        return {
+            rules: { min: min, max: max, integer: true },
+            options: scales.scaleOptions(min, max, body.options, body.weights)
+        };
+    }
+
+    // utility function to check quiz settings from a request against the poll they are
+    // for, unset points and feedback keep the poll's current ones; returns { quiz } or
+    // { error: { field, message } }
+    var quizFields = (body, poll) => {
+        var current = poll.quiz || {};
+        if (answers.isOpen(poll) || poll.questionType === 'scale')
+            return { error: { field: 'correct_options', message: 'cannot be set on ' + poll.questionType + ' questions' } };
+        if (poll.ballotType === 'ranked')
+            return { error: { field: 'correct_options', message: 'cannot be set on ranked polls' } };
+        // scores are kept per student, which anonymous ballots cannot tell apart
+        if (poll.privacy === 'anonymous')
+            return { error: { field: 'correct_options', message: 'cannot be set on anonymous polls' } };
+        var correct = body.correct_options
+            .filter((index, i) => body.correct_options.indexOf(index) === i)
+            .sort((a, b) => a - b);
+        if (correct[correct.length - 1] >= poll.options.length)
+            return { error: { field: 'correct_options', message: 'must be indexes of the poll options' } };
+        if (poll.ballotType === 'multiple' && correct.length > poll.maxChoices)
+            return { error: { field: 'correct_options', message: 'must not be more than max_choices' } };
+        return { quiz: {
+            correct: correct,
+            points: body.points || current.points || 1,
+            feedback: body.feedback || current.feedback || 'immediate',
+            series: current.series
+        } };
     }
+
+    // utility function to insert new polls in one batch, each with its own join code,
+    // and add them to the user's polls: done(err, polls). A batch that fails partway,
+    // or cannot be added to the user's polls, is removed again so that no poll is left
+    // that its owner cannot see
+    var createPolls = (userId, list, done) => {
+        codes.uniqueCodes(list.length, JOIN_CODE_LENGTH, (candidates, taken) => {
+            Polls.find({ joinCode: { $in: candidates } }, { joinCode: 1 }, (err, clashing) => {
+                taken(err, clashing && clashing.map((poll) => poll.joinCode));
+            });
+        }, (err, joinCodes) => {
+            if (err)
+                return done(err);
+            // the ids are chosen here, insertMany does not tell which polls it inserted when it fails
+            var ids = list.map(() => new mongoose.Types.ObjectId());
+            var undo = (err) => Polls.remove({ _id: { $in: ids } }, () => done(err));
+            Polls.insertMany(list.map((fields, i) => Object.assign({ _id: ids[i], joinCode: joinCodes[i] }, fields)), (err, polls) => {
+                if (err)
+                    return undo(err);
+                Users.update(
+                    { _id: userId },
+                    { $push: { polls: { $each: polls.map((poll) => poll.id) } } },
+                    (err) => err ? undo(err) : done(null, polls)
+                );
+            });
+        });
+    }
+
+    // utility function to load a poll whose votes may still be changed
+    var findChangeablePoll = (req, next, done) => {
+        Polls.findById(req.body.poll_id, (err, poll) => {
+            if (err)
+                return next(err);
+            if (!poll)
+                return next(new errors.NotFoundError('poll not found'));
+            if (!poll.allowVoteChanges)
+                return next(new errors.ForbiddenError('this poll does not allow vote changes'));
+            // anonymous ballots cannot be found again without tracing them to the voter
+            if (poll.privacy === 'anonymous')
+                return next(new errors.ForbiddenError('votes on anonymous polls cannot be changed'));
+            var closed = poll.votingError();
+            if (closed)
+                return next(new errors.ForbiddenError(closed));
+            // a student who left the course cannot touch their ballot any more
+            checkCourse(req, poll, next, () => done(poll));
+        });
+    }
+
+    // utility function matching a voter's ballot only as it was read, so a concurrent
+    // change makes replacing or removing it a no-op; open answers are told apart by
+    // when they were last changed
+    var ballotGuard = (poll, previous) => answers.isOpen(poll)
+        ? { _id: previous._id, changedAt: previous.changedAt || null }
+        : { _id: previous._id, choices: previous.choices }
+
+    // utility function to apply a change of a voter's ballot to the poll, which is only
+    // read back when the change leaves the tallies as they are
+    var updateTally = (poll, userId, update, done) => {
+        var filter = { _id: poll._id, voters: userId };
+        if (!Object.keys(update).length)
+            return Polls.findOne(filter, done);
+        Polls.findOneAndUpdate(filter, update, { new: true }, done);
+    }
+
+    // utility function to answer and broadcast the tally after an atomic update
+    var sendTally = (err, poll, req, res, next) => {
+        if (err)
+            return next(err);
+        if (!poll)
+            return next(new errors.ConflictError('your vote is no longer recorded on this poll'));
+        results.withResults(poll, (err, result) => {
+            if (err)
+                return next(err);
+            // subscribers each get the tally or not, following the poll's resultsVisibility
+            sockets.publishResults(poll, result);
+            viewFor(req, poll, result, (err, view) => {
+                if (err)
+                    return next(err);
+                res.status(200).json(view);
+            });
+        });
+    }
+
+    // utility function to apply an owner's edit atomically, clearing ballots on a reset
+    var editPoll = (poll, res, next, guard, update, clearBallots) => {
+        guard._id = poll._id;
+        Polls.findOneAndUpdate(guard, update, { new: true }, (err, updated) => {
+            if (err)
+                return next(err);
+            if (!updated)
+                return next(new errors.ConflictError('poll changed while editing, reload it and try again'));
+            if (!clearBallots)
+                return res.status(200).json({ 'poll': updated });
+            Ballots.remove({ poll: updated.id }, (err) => {
+                if (err)
+                    return next(err);
+                res.status(200).json({ 'poll': updated });
+            });
+        });
+    }
+
+    var historyEntry = (userId, action, details) => ({
+        action: action,
+        by: String(userId),
+        at: new Date(),
+        details: details
+    })
+
+    // utility function to load a poll only if it is in the user's polls, admins may load any poll
+    var findOwnedPoll = (req, pollId, next, done) => {
+        var query = authorize.can(req, 'poll:manage_any') ? { _id: req.user } : { _id: req.user, polls: pollId };
+        Users.findOne(query, (err, user) => {
+            if (err)
+                return next(err);
+            if (!user)
+                return next(new errors.ForbiddenError('not the owner of this poll'));
+            Polls.findById(pollId, (err, poll) => {
+                if (err)
+                    return next(err);
+                if (!poll)
+                    return next(new errors.NotFoundError('poll not found'));
+                done(poll);
+            });
+        });
+    }
+
+    // utility function to save the poll, publishing its results to subscribers when
+    // the change may have made them visible
+    var savePoll = (poll, res, next, publish) => {
+        poll.save((err) => {
+            if (err)
+                return next(err);
+            if (!publish)
+                return res.status(200).json({ 'poll': poll });
+            results.withResults(poll, (err, result) => {
+                if (err)
+                    return next(err);
+                sockets.publishResults(poll, result);
+                res.status(200).json({ 'poll': poll });
+            });
+        });
+    }
+
+    // utility function to build what the user sees of a poll: the tallies when its
+    // resultsVisibility allows, `result` if withResults already built them, and on
+    // quizzes the correct options and the user's feedback once they may know them
+    var viewFor = (req, poll, result, done) => {
+        access.canSeeResults(req, poll, (err, visible) => {
+            if (err)
+                return done(err);
+            if (!visible)
+                return quizView(req, poll, results.hiddenResults(poll), done);
+            if (result)
+                return quizView(req, poll, result, done);
+            results.withResults(poll, (err, result) => {
+                if (err)
+                    return done(err);
+                quizView(req, poll, result, done);
+            });
+        });
+    }
+
+    var quizView = (req, poll, view, done) => {
+        if (!poll.isQuiz()) {
+            delete view.quiz;
+            return done(null, view);
+        }
+        access.isOwner(req, poll, (err, owner) => {
+            if (err)
+                return done(err);
+            if (owner)
+                return done(null, view);
+            var voted = receipts.hasVoted(poll, req.user);
+            if (!poll.answersVisible(voted)) {
+                delete view.quiz.correct;
+                return done(null, view);
+            }
+            if (!voted)
+                return done(null, view);
+            Ballots.findOne({ poll: poll.id, voter: String(req.user) }, (err, ballot) => {
+                if (err)
+                    return done(err);
+                if (ballot)
+                    view.feedback = quizzes.grade(poll, ballot.choices);
+                done(null, view);
+            });
+        });
+    }
+
+    // utility function to check a vote against the poll, see votes.parseVote
+    var parseVote = (poll, body) => {
+        var ballot = votes.parseVote(poll, body);
+        if (ballot.error)
+            return { error: ballotError(ballot.error, ballot.field) };
+        return ballot;
+    }
+
+    var ballotError = (message, field) => new errors.ValidationError(message, [{ field: field, location: 'body', message: message }])
+
+    var noOptions = (poll) => new errors.ConflictError(poll.questionType + ' questions have no options')
+
+    var fixedScale = () => new errors.ConflictError('the points of a scale are set when it is created, only their labels can change')
+
+    var tooManyOptions = () => new errors.ValidationError('a poll has at most ' + schemas.MAX_OPTIONS + ' options', [{ field: 'option', location: 'body', message: 'cannot be added, the poll has ' + schemas.MAX_OPTIONS + ' options' }])
+
+    // poll fields included at the top of a JSON export
+    var exportInfo = (poll) => ({
+        id: poll.id,
+        name: poll.name,
+        ballotType: poll.ballotType,
+        privacy: poll.privacy,
+        status: poll.currentStatus(),
+        voters: poll.voters.length
+    })
 };
 
 module.exports = PollHandler;
\ No newline at end of file
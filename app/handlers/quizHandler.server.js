@@ -0,0 +1,174 @@
+var Users = require('../models/users');
+var Polls = require('../models/polls');
+var Ballots = require('../models/ballots');
+var QuizSeries = require('../models/quizSeries');
+var quizzes = require('../utils/quiz');
+var access = require('../utils/access');
+var errors = require('../utils/errors');
+var authorize = require('../middleware/authorize');
+
+function QuizHandler() {
+
+    // owner starts a series of quiz polls sharing one leaderboard
+    this.addSeries = (req, res, next) => {
+        QuizSeries.create({ name: req.body.name, owner: String(req.user) }, (err, series) => {
+            if (err)
+                return next(err);
+            res.json({ 'series': describe(series) });
+        });
+    }
+
+    this.getSeries = (req, res, next) => {
+        QuizSeries.find({ owner: String(req.user) }).sort({ createdAt: 1 }).exec((err, list) => {
+            if (err)
+                return next(err);
+            res.json(list.map(describe));
+        });
+    }
+
+    // owner puts one of their quiz polls in one of their series, moving it out of any other
+    this.addToSeries = (req, res, next) => {
+        findOwnedSeries(req, req.body.series_id, next, (series) => {
+            findOwnedQuiz(req, next, (poll) => {
+                Polls.update({ _id: poll._id }, { $set: { 'quiz.series': series.id } }, (err) => {
+                    if (err)
+                        return next(err);
+                    res.json({ 'series': series.id, 'poll': poll.id });
+                });
+            });
+        });
+    }
+
+    this.removeFromSeries = (req, res, next) => {
+        findOwnedSeries(req, req.body.series_id, next, (series) => {
+            findOwnedQuiz(req, next, (poll) => {
+                if (poll.quiz.series !== series.id)
+                    return next(new errors.ConflictError('poll is not in this series'));
+                Polls.update({ _id: poll._id }, { $unset: { 'quiz.series': '' } }, (err) => {
+                    if (err)
+                        return next(err);
+                    res.json({ 'series': series.id, 'removed': poll.id });
+                });
+            });
+        });
+    }
+
+    // owner ranks the students of a series by their points over all of its polls
+    this.getLeaderboard = (req, res, next) => {
+        findOwnedSeries(req, req.query.series_id, next, (series) => {
+            loadSeries(series, next, (polls, ballots) => {
+                var board = quizzes.scoreboard(polls, ballots);
+                Users.find({ _id: { $in: board.map((total) => total.user) } }, { name: 1, email: 1 }, (err, users) => {
+                    if (err)
+                        return next(err);
+                    var byId = {};
+                    users.forEach((u) => { byId[u.id] = { id: u.id, name: u.name, email: u.email }; });
+                    res.json({
+                        series: describe(series),
+                        polls: polls.length,
+                        maxPoints: quizzes.maxPoints(polls),
+                        leaderboard: board.map((total) => ({
+                            rank: total.rank,
+                            user: byId[total.user] || { id: total.user },
+                            points: total.points,
+                            correct: total.correct,
+                            answered: total.answered
+                        }))
+                    });
+                });
+            });
+        });
+    }
+
+    // a student's answers and points in a series; students read their own report, the
+    // owner any student's. Students only see whether they were right once the poll's
+    // feedback setting allows it
+    this.getReport = (req, res, next) => {
+        var userId = String(req.query.user_id || req.user);
+        QuizSeries.findById(req.query.series_id, (err, series) => {
+            if (err)
+                return next(err);
+            if (!series)
+                return next(new errors.NotFoundError('quiz series not found'));
+            var owner = series.owner === String(req.user) || authorize.can(req, 'poll:manage_any');
+            if (userId !== String(req.user) && !owner)
+                return next(new errors.ForbiddenError('only the owner of the series sees the reports of other students'));
+            loadSeries(series, next, (polls, ballots) => {
+                var byPoll = {};
+                ballots.filter((b) => b.voter === userId).forEach((b) => { byPoll[b.poll] = b; });
+                var answers = polls.filter((poll) => owner || byPoll[poll.id]).map((poll) => {
+                    var ballot = byPoll[poll.id];
+                    var answer = { poll: { id: poll.id, name: poll.name }, maxPoints: poll.quiz.points, answered: !!ballot };
+                    if (!ballot)
+                        return answer;
+                    answer.choices = ballot.choices;
+                    if (owner || poll.answersVisible(true))
+                        Object.assign(answer, quizzes.grade(poll, ballot.choices));
+                    else
+                        answer.pending = true;
+                    return answer;
+                });
+                var graded = answers.filter((a) => a.points !== undefined);
+                res.json({
+                    series: describe(series),
+                    user: userId,
+                    polls: polls.length,
+                    maxPoints: quizzes.maxPoints(polls),
+                    answered: answers.filter((a) => a.answered).length,
+                    correct: graded.filter((a) => a.correct).length,
+                    points: graded.reduce((sum, a) => sum + a.points, 0),
+                    answers: answers
+                });
+            });
+        });
+    }
+
+    // utility function to load a series the user owns, admins may load any series
+    var findOwnedSeries = (req, seriesId, next, done) => {
+        QuizSeries.findById(seriesId, (err, series) => {
+            if (err)
+                return next(err);
+            if (!series)
+                return next(new errors.NotFoundError('quiz series not found'));
+            if (series.owner !== String(req.user) && !authorize.can(req, 'poll:manage_any'))
+                return next(new errors.ForbiddenError('not the owner of this quiz series'));
+            done(series);
+        });
+    }
+
+    var findOwnedQuiz = (req, next, done) => {
+        Polls.findById(req.body.poll_id, (err, poll) => {
+            if (err)
+                return next(err);
+            if (!poll)
+                return next(new errors.NotFoundError('poll not found'));
+            access.isOwner(req, poll, (err, owner) => {
+                if (err)
+                    return next(err);
+                if (!owner)
+                    return next(new errors.ForbiddenError('not the owner of this poll'));
+                if (!poll.isQuiz())
+                    return next(new errors.ConflictError('poll is not a quiz, mark its correct options first'));
+                done(poll);
+            });
+        });
+    }
+
+    // utility function to load the quiz polls of a series, oldest first, and their ballots
+    var loadSeries = (series, next, done) => {
+        Polls.find({ 'quiz.series': series.id }, { voters: 0, history: 0 }).sort({ _id: 1 }).exec((err, polls) => {
+            if (err)
+                return next(err);
+            polls = polls.filter((poll) => poll.isQuiz());
+            Ballots.find({ poll: { $in: polls.map((poll) => poll.id) } }, { poll: 1, voter: 1, choices: 1 }, (err, ballots) => {
+                if (err)
+                    return next(err);
+                done(polls, ballots);
+            });
+        });
+    }
+
+    var describe = (series) => ({ id: series.id, name: series.name, owner: series.owner, createdAt: series.createdAt })
+};
+
+module.exports = QuizHandler;
@@ -0,0 +1,143 @@
+var Polls = require('../models/polls');
+var tokens = require('../utils/tokens');
+var access = require('../utils/access');
+var receipts = require('../utils/receipts');
+var errors = require('../utils/errors');
+var validate = require('../validation');
+var schemas = require('../validation/schemas');
+
+// live results over socket.io, one room per poll. Sockets authenticate with the same
+// access token as the REST API, sent as handshake auth { token } or ?token=; sockets
+// without a token may watch polls that are not restricted to a course.
+//
+//   subscribe { poll_id }      -> ack { poll_id, viewers } or { error }
+//   unsubscribe { poll_id }    -> ack { poll_id }
+//   results { poll_id, results }   sent to each subscriber after every vote, with
+//                                  results { hidden, voters } to those the poll's
+//                                  resultsVisibility keeps the tallies from
+//   presence { poll_id, viewers }  sent to a poll's room when someone comes or goes
+//
+// Viewer counts are kept per process.
+function SocketHandler(io) {
+
+    // poll id -> socket id -> { socket, owner }
+    var subscribers = {};
+
+    io.use((socket, next) => {
+        var handshake = socket.handshake;
+        var token = (handshake.auth && handshake.auth.token) || (handshake.query && handshake.query.token);
+        socket.auth = {};
+        if (!token)
+            return next();
+        tokens.verifyAccess(token, (err, user) => {
+            if (err)
+                return next(err);
+            if (!user)
+                return next(new errors.AuthError('invalid or expired token'));
+            socket.auth = { user: user.id, authInfo: tokens.authInfo(user) };
+            next();
+        });
+    });
+
+    io.on('connection', (socket) => {
+        // poll ids this socket is subscribed to
+        var watching = {};
+
+        socket.on('subscribe', (data, ack) => {
+            subscribe(socket, watching, data, reply(ack));
+        });
+
+        socket.on('unsubscribe', (data, ack) => {
+            var pollId = data && String(data.poll_id);
+            if (watching[pollId])
+                leave(socket, watching, pollId);
+            reply(ack)(null, { poll_id: pollId });
+        });
+
+        socket.on('disconnect', () => {
+            Object.keys(watching).forEach((pollId) => leave(socket, watching, pollId));
+        });
+    });
+
+    // sends the tallies of a poll, `result` as built by the poll handler, to the
+    // subscribers allowed to see them; the rest of the poll document (voter receipts
+    // in particular) never leaves the server
+    this.publishResults = (poll, result) => {
+        var pollId = String(poll._id);
+        var watchers = subscribers[pollId] || {};
+        var tallies = { poll_id: pollId, results: result.results };
+        var hidden = { poll_id: pollId, results: { hidden: true, voters: poll.voters.length } };
+        Object.keys(watchers).forEach((socketId) => {
+            var watcher = watchers[socketId];
+            var visible = watcher.owner || poll.resultsVisible(receipts.hasVoted(poll, watcher.socket.auth.user));
+            watcher.socket.emit('results', visible ? tallies : hidden);
+        });
+    }
+
+    var room = (pollId) => 'poll:' + pollId
+
+    // utility function to join a poll's room once the socket may see the poll
+    var subscribe = (socket, watching, data, done) => {
+        // checked like a request body so the REST and socket rules stay the same
+        var req = { body: Object.assign({}, data), user: socket.auth.user, authInfo: socket.auth.authInfo };
+        validate(schemas.poll)(req, null, (err) => {
+            if (err)
+                return done(err);
+            var pollId = String(req.body.poll_id);
+            Polls.findById(pollId, (err, poll) => {
+                if (err)
+                    return done(err);
+                if (!poll)
+                    return done(new errors.NotFoundError('poll not found'));
+                access.checkCourse(req, poll, (err) => {
+                    if (err)
+                        return done(err);
+                    access.isOwner(req, poll, (err, owner) => {
+                        if (err)
+                            return done(err);
+                        // the socket may have gone while the poll was loading
+                        if (!socket.connected)
+                            return;
+                        if (!watching[pollId]) {
+                            watching[pollId] = true;
+                            socket.join(room(pollId));
+                            subscribers[pollId] = subscribers[pollId] || {};
+                            subscribers[pollId][socket.id] = { socket: socket, owner: owner };
+                            sendPresence(pollId);
+                        }
+                        done(null, { poll_id: pollId, viewers: viewerCount(pollId) });
+                    });
+                });
+            });
+        });
+    }
+
+    var leave = (socket, watching, pollId) => {
+        delete watching[pollId];
+        socket.leave(room(pollId));
+        delete subscribers[pollId][socket.id];
+        if (!viewerCount(pollId))
+            delete subscribers[pollId];
+        sendPresence(pollId);
+    }
+
+    var viewerCount = (pollId) => Object.keys(subscribers[pollId] || {}).length
+
+    var sendPresence = (pollId) => {
+        io.to(room(pollId)).emit('presence', { poll_id: pollId, viewers: viewerCount(pollId) });
+    }
+
+    // acknowledgement callback in the same { error: { code, message, details } } shape as the API
+    var reply = (ack) => (err, body) => {
+        if (typeof ack !== 'function')
+            return;
+        if (!err)
+            return ack(body);
+        var error = errors.normalize(err);
+        if (error.status >= 500)
+            console.error(error.cause || error);
+        ack({ error: { code: error.code, message: error.message, details: error.details } });
+    }
+};
+
+module.exports = SocketHandler;
@@ -0,0 +1,298 @@
+var Users = require('../models/users');
+var Polls = require('../models/polls');
+var Surveys = require('../models/surveys');
+var votes = require('../utils/votes');
+var surveys = require('../utils/surveys');
+var results = require('../utils/results');
+var receipts = require('../utils/receipts');
+var access = require('../utils/access');
+var errors = require('../utils/errors');
+var schemas = require('../validation/schemas');
+var authorize = require('../middleware/authorize');
+
+function SurveyHandler(sockets) {
+
+    // owner makes a survey of some of their polls, of any question type: sections of
+    // required and optional questions with branches, or just a list of poll_ids asked
+    // as required questions of one section
+    this.addSurvey = (req, res, next) => {
+        var body = req.body;
+        if (!body.sections === !body.poll_ids)
+            return next(new errors.ValidationError('give either sections or poll_ids',
+                [{ field: 'sections', location: 'body', message: 'or poll_ids is required, but not both' }]));
+        var input = body.sections || [{ questions: body.poll_ids.map((id) => ({ poll_id: id, required: true })) }];
+        var pollIds = [].concat.apply([], input.map((section) => section.questions.map((question) => question.poll_id)));
+        if (pollIds.length > schemas.MAX_SURVEY_QUESTIONS)
+            return next(new errors.ValidationError('a survey has at most ' + schemas.MAX_SURVEY_QUESTIONS + ' questions'));
+        ownsPolls(req, pollIds, next, () => {
+            Polls.find({ _id: { $in: pollIds } }, { questionType: 1, options: 1 }, (err, found) => {
+                if (err)
+                    return next(err);
+                var byId = {};
+                found.forEach((poll) => { byId[poll.id] = poll; });
+                if (pollIds.some((id) => !byId[id]))
+                    return next(new errors.NotFoundError('poll not found'));
+                var checked = surveys.checkSections(input, byId);
+                if (checked.error)
+                    return next(new errors.ValidationError(checked.error.field + ' ' + checked.error.message, [Object.assign({ location: 'body' }, checked.error)]));
+                Surveys.create({ name: body.name, owner: String(req.user), polls: pollIds, sections: checked.sections }, (err, survey) => {
+                    if (err)
+                        return next(err);
+                    res.json({ 'survey': describe(survey) });
+                });
+            });
+        });
+    }
+
+    this.getSurveys = (req, res, next) => {
+        Surveys.find({ owner: String(req.user) }).sort({ createdAt: 1 }).exec((err, list) => {
+            if (err)
+                return next(err);
+            res.json(list.map(describe));
+        });
+    }
+
+    // the sections and questions of a survey for someone about to answer it, with the
+    // branches the client follows to show the right sections, and which questions
+    // they have answered already
+    this.getSurvey = (req, res, next) => {
+        loadSurvey(req, req.body.survey_id, next, (survey, byId) => {
+            res.json({
+                survey: describe(survey),
+                sections: surveys.sectionsOf(survey).map((section) => ({
+                    title: section.title,
+                    questions: section.questions.filter((question) => byId[question.poll]).map((question) =>
+                        describeQuestion(req, byId[question.poll], question.required)),
+                    branches: section.branches.map((branch) => ({
+                        poll_id: branch.poll,
+                        options: branch.options && branch.options.length ? branch.options : undefined,
+                        min_value: branch.min,
+                        max_value: branch.max,
+                        goto: branch.goto
+                    }))
+                }))
+            });
+        });
+    }
+
+    // answers a survey in one request, by poll id. The answers are checked together
+    // against the route they take through the sections: required questions on the
+    // route must be answered and questions off it must not. If counting one of them
+    // fails the others are taken back, so a submission counts as a whole or not at all
+    this.submitSurvey = (req, res, next) => {
+        var given = req.body.answers;
+        loadSurvey(req, req.body.survey_id, next, (survey, byId) => {
+            var problems = [];
+            var ballots = {};
+            Object.keys(given).forEach((pollId) => {
+                var field = 'answers.' + pollId;
+                if (!byId[pollId])
+                    return problems.push({ field: field, location: 'body', message: 'is not a question of this survey' });
+                var ballot = surveys.parseAnswer(byId[pollId], given[pollId]);
+                if (ballot.error)
+                    return problems.push({ field: field, location: 'body', message: ballot.error });
+                ballots[pollId] = ballot;
+            });
+            var sections = surveys.sectionsOf(survey);
+            var visited = surveys.route(sections, byId, ballots);
+            sections.forEach((section, i) => {
+                var onRoute = visited.indexOf(i) !== -1;
+                section.questions.filter((question) => byId[question.poll]).forEach((question) => {
+                    var field = 'answers.' + question.poll;
+                    if (!onRoute && ballots[question.poll])
+                        problems.push({ field: field, location: 'body', message: 'is not asked after your earlier answers' });
+                    if (onRoute && question.required && given[question.poll] === undefined)
+                        problems.push({ field: field, location: 'body', message: 'is required' });
+                });
+            });
+            var answered = survey.polls.filter((id) => ballots[id]).map((id) => byId[id]);
+            if (!problems.length && !answered.length)
+                problems.push({ field: 'answers', location: 'body', message: 'must answer at least one question' });
+            if (problems.length)
+                return next(new errors.ValidationError('invalid survey answers', problems));
+            var closed = answered.filter((poll) => poll.votingError())[0];
+            if (closed)
+                return next(new errors.ForbiddenError(closed.name + ': ' + closed.votingError()));
+            if (answered.some((poll) => receipts.hasVoted(poll, req.user)))
+                return next(new errors.ConflictError('you have already answered this survey'));
+
+            var recorded = [];
+            var record = (i) => {
+                if (i === answered.length)
+                    return countResponse(survey, visited, (err) => {
+                        if (err)
+                            return next(err);
+                        publish(recorded.map((vote) => vote.poll));
+                        res.status(200).json({
+                            survey: survey.id,
+                            answered: recorded.map((vote) => vote.poll.id),
+                            sections: visited
+                        });
+                    });
+                votes.recordVote(answered[i], req.user, ballots[answered[i].id], (err, updated, ballot) => {
+                    if (err)
+                        return undo(req.user, recorded, () => next(err));
+                    recorded.push({ poll: updated, ballot: ballot });
+                    record(i + 1);
+                });
+            };
+            record(0);
+        });
+    }
+
+    // owner's report of a survey: how many submissions reached each section and the
+    // results of every question, which also count votes cast on the poll directly
+    this.getResults = (req, res, next) => {
+        loadSurvey(req, req.query.survey_id, next, (survey, byId) => {
+            if (survey.owner !== String(req.user) && !authorize.can(req, 'poll:manage_any'))
+                return next(new errors.ForbiddenError('not the owner of this survey'));
+            var polls = survey.polls.filter((id) => byId[id]).map((id) => byId[id]);
+            resultsOf(polls, (err, list) => {
+                if (err)
+                    return next(err);
+                var resultById = {};
+                list.forEach((result, i) => { resultById[polls[i].id] = result; });
+                res.status(200).json({
+                    survey: describe(survey),
+                    responses: survey.responses,
+                    sections: surveys.sectionsOf(survey).map((section) => ({
+                        title: section.title,
+                        reached: section.reached,
+                        questions: section.questions.filter((question) => byId[question.poll]).map((question) => {
+                            var poll = byId[question.poll];
+                            return {
+                                poll_id: poll.id,
+                                name: poll.name,
+                                type: poll.questionType,
+                                required: question.required,
+                                voters: poll.voters.length,
+                                results: resultById[poll.id].results
+                            };
+                        })
+                    }))
+                });
+            });
+        });
+    }
+
+    // utility function to check every poll is among the user's, admins may use any poll
+    var ownsPolls = (req, pollIds, next, done) => {
+        if (authorize.can(req, 'poll:manage_any'))
+            return done();
+        Users.count({ _id: req.user, polls: { $all: pollIds } }, (err, count) => {
+            if (err)
+                return next(err);
+            if (!count)
+                return next(new errors.ForbiddenError('surveys can only ask your own polls'));
+            done();
+        });
+    }
+
+    // utility function to load a survey with its polls by id, admitting the user only
+    // if they may see each of them; polls deleted since the survey was made are left out
+    var loadSurvey = (req, surveyId, next, done) => {
+        Surveys.findById(surveyId, (err, survey) => {
+            if (err)
+                return next(err);
+            if (!survey)
+                return next(new errors.NotFoundError('survey not found'));
+            Polls.find({ _id: { $in: survey.polls } }, (err, found) => {
+                if (err)
+                    return next(err);
+                var byId = {};
+                found.forEach((poll) => { byId[poll.id] = poll; });
+                var check = (i) => {
+                    if (i === found.length)
+                        return done(survey, byId);
+                    access.checkCourse(req, found[i], (err) => {
+                        if (err)
+                            return next(err);
+                        check(i + 1);
+                    });
+                };
+                check(0);
+            });
+        });
+    }
+
+    // utility function to count a submission and the sections it went through
+    var countResponse = (survey, visited, done) => {
+        var inc = { responses: 1 };
+        if (survey.sections.length)
+            visited.forEach((i) => { inc['sections.' + i + '.reached'] = 1; });
+        Surveys.update({ _id: survey._id }, { $inc: inc }, done);
+    }
+
+    // utility function to take back the votes of a failed submission, latest first;
+    // a failure here is left to the error already being reported
+    var undo = (userId, recorded, done) => {
+        var vote = recorded.pop();
+        if (!vote)
+            return done();
+        votes.undoVote(vote.poll, userId, vote.ballot, () => undo(userId, recorded, done));
+    }
+
+    // utility function to compute the results of polls one after another: done(err, results)
+    var resultsOf = (polls, done) => {
+        var list = [];
+        var step = (i) => {
+            if (i === polls.length)
+                return done(null, list);
+            results.withResults(polls[i], (err, result) => {
+                if (err)
+                    return done(err);
+                list.push(result);
+                step(i + 1);
+            });
+        };
+        step(0);
+    }
+
+    // utility function to push the new results of the answered polls to their subscribers
+    var publish = (polls) => {
+        resultsOf(polls, (err, list) => {
+            if (err)
+                return;
+            list.forEach((result, i) => sockets.publishResults(polls[i], result));
+        });
+    }
+
+    // what someone answering a survey needs to know of one of its questions
+    var describeQuestion = (req, poll, required) => {
+        var rules = poll.answerRules || {};
+        var question = {
+            poll_id: poll.id,
+            name: poll.name,
+            type: poll.questionType,
+            required: required,
+            answered: receipts.hasVoted(poll, req.user),
+            closed: poll.votingError()
+        };
+        if (poll.questionType === 'choice') {
+            question.options = poll.options.map((opt) => opt.option);
+            question.ballotType = poll.ballotType;
+            question.maxChoices = poll.maxChoices;
+        }
+        if (poll.questionType === 'scale') {
+            question.scale = { min: rules.min, max: rules.max };
+            question.labels = poll.options.map((opt) => opt.option);
+        }
+        if (poll.questionType === 'numeric')
+            question.rules = { min: rules.min, max: rules.max, integer: rules.integer };
+        if (poll.questionType === 'text')
+            question.maxLength = rules.maxLength;
+        return question;
+    }
+
+    var describe = (survey) => ({
+        id: survey.id,
+        name: survey.name,
+        owner: survey.owner,
+        polls: survey.polls,
+        sections: surveys.sectionsOf(survey).length,
+        responses: survey.responses,
+        createdAt: survey.createdAt
+    })
+};
+
+module.exports = SurveyHandler;
@@ -2,66 +2,79 @@
 
 var Users = require('../models/users.js');
 var Polls = require('../models/polls');
-const rand = require('csprng');
-var crypto = require('crypto');
-const jwt = require('jsonwebtoken');
+var tokens = require('../utils/tokens');
+var errors = require('../utils/errors');
+var passwords = require('../utils/passwords');
+var oauth = require('../config/oauth');
+var roles = require('../config/roles');
+var actionTokens = require('../utils/actionTokens');
+var mail = require('../mail');
+
+// what a user is shown of their own account; credentials, token versions, lockout
+// counters and provider ids stay on the server
+var PROFILE_FIELDS = { '_id': false, name: true, email: true, emailVerified: true, role: true };
 
 function UserHandler(passport) {
 
-	this.getUser = function (req, res) {
+	this.getUser = function (req, res, next) {
 		Users
-			.findOne({ 'email': req.user.email }, { '_id': false })
+			.findOne({ 'email': req.user.email }, PROFILE_FIELDS)
 			.exec(function (err, result) {
-				if (err) { throw err; }
+				if (err) { return next(err); }
 				res.json(result);
 			});
 	};
 
-	this.getUserById = function (req, res) {
+	this.getUserById = function (req, res, next) {
 		Users
-			.findById(req.user, { '_id': false, password: 0, hashed_password: 0,polls:0, salt:0})
+			.findById(req.user, PROFILE_FIELDS)
 			.exec(function (err, result) {
-				if (err) { throw err; }
+				if (err) { return next(err); }
 				res.json(result);
 			});
 	};
 
 	// user signup
-	this.addUser = function (req, res) {
-		let temp = rand(160, 36);
-		let newpass = temp + req.body.password;
-		let hashed_password = crypto.createHash('sha512').update(newpass).digest("hex");
-		var newUser = new Users({
-			email: req.body.email,
-			hashed_password: hashed_password,
-			salt: temp,
-			name: req.body.name
-		});
-		Users.findOne({ email: newUser.email }, (err, user) => {
-			if (err) {
-				throw err;
-			}
-			if (user) {
-				res.json({ 'response': "Email already Registered", 'res': false })
-			} else {
+	this.addUser = function (req, res, next) {
+		Users.findOne({ email: req.body.email }, (err, user) => {
+			if (err)
+				return next(err);
+			if (user)
+				return next(new errors.ConflictError('email already registered', [{ field: 'email', location: 'body', message: 'is already registered' }]));
+			passwords.hash(req.body.password, (err, hashed_password) => {
+				if (err)
+					return next(err);
+				var newUser = new Users({
+					email: req.body.email,
+					hashed_password: hashed_password,
+					name: req.body.name,
+					role: roles.adminEmails().indexOf(req.body.email.toLowerCase()) !== -1 ? 'admin' : 'student'
+				});
 				newUser.save((err) => {
 					if (err)
-						throw err;
-					const token = jwt.sign(newUser.id, process.env.JWT_KEY);
-					res.json({ 'token': token });
-
+						return next(err);
+					// signup succeeds even if the mail fails, the user can ask for another one
+					sendVerification(newUser, (err) => {
+						if (err)
+							console.error('verification mail to ' + newUser.email + ' failed', err);
+						sendSession(newUser.id, res, next);
+					});
 				});
-			}
+			});
 		})
 	};
 
-	this.getPolls = function (req, res) {
+	// archived polls are only listed with ?include_archived=true
+	this.getPolls = function (req, res, next) {
 		Users.findById(req.user, (err, user) => {
 			if (err)
-				return res.status(400).send(err);
-			Polls.find({ '_id': { $in: user.polls }},(err, polls) => {
+				return next(err);
+			var query = { '_id': { $in: user.polls } };
+			if (!req.query.include_archived)
+				query.archived = { $ne: true };
+			Polls.find(query,(err, polls) => {
 				if (err)
-					return res.status(400).send(err);
+					return next(err);
 				else {
 					res.json(polls);
 				}
@@ -69,32 +82,226 @@ function UserHandler(passport) {
 		})
 	}
 
-	this.changePassword = function (req,res){
+	this.changePassword = function (req, res, next){
 		Users.findById(req.user,(err,user)=>{
 			if(err)
-			return res.status(400).send(err);
-			if(!validPassword(req.body.current_password,user)){
-				return res.status(400).send('Invalid Current Password');
-			}
-			let temp = rand(160, 36);
-			let newpass = temp + req.body.new_password;
-			let hashed_password = crypto.createHash('sha512').update(newpass).digest("hex");
-			user.hashed_password=hashed_password;
-			user.salt=temp;
-			user.save((err)=>{
+			return next(err);
+			passwords.verify(req.body.current_password, user, (err, valid) => {
 				if(err)
-				return res.status(400).send(err);
-				res.status(200).send('Password successfully updated');
-			})
+				return next(err);
+				if(!valid){
+					return next(new errors.ValidationError('invalid current password', [{ field: 'current_password', location: 'body', message: 'is incorrect' }]));
+				}
+				passwords.hash(req.body.new_password, (err, hashed_password) => {
+					if(err)
+					return next(err);
+					Users.update({ _id: user._id }, passwords.userUpdate(hashed_password), (err)=>{
+						if(err)
+						return next(err);
+						// every other device has to log in again with the new password
+						tokens.revokeAll(user._id, (err) => {
+							if(err)
+							return next(err);
+							tokens.issueSession(user._id, (err, session) => {
+								if(err)
+								return next(err);
+								session.message = 'Password successfully updated';
+								res.status(200).json(session);
+							});
+						});
+					})
+				});
+			});
+
+		});
+	}
+
+	// answers the token pair for a user who just logged in or signed up
+	this.login = function (req, res, next) {
+		sendSession(req.user, res, next);
+	}
+
+	// trades a refresh token for a new access and refresh token
+	this.refresh = function (req, res, next) {
+		tokens.rotate(req.body.refresh_token, (err, session) => {
+			if (err)
+				return next(err);
+			res.json(session);
+		});
+	}
+
+	// revokes the refresh token family of this device
+	this.logout = function (req, res, next) {
+		tokens.revoke(req.body.refresh_token, (err) => {
+			if (err)
+				return next(err);
+			res.json({ 'logged_out': true });
+		});
+	}
+
+	this.logoutAll = function (req, res, next) {
+		tokens.revokeAll(req.user, (err) => {
+			if (err)
+				return next(err);
+			res.json({ 'logged_out': true });
+		});
+	}
+
+	// sends the browser to the provider; with ?link=<token> the account gets linked instead
+	this.oauthStart = function (provider, req, res, next) {
+		if (!oauth.enabled(provider))
+			return next(new errors.NotFoundError(provider + ' sign-in is not configured'));
+		var start = () => passport.authenticate(provider, { session: false })(req, res, next);
+		if (!req.query.link)
+			return start();
+		oauth.verifyLinkToken(req.query.link, (err, userId) => {
+			if (err)
+				return next(err);
+			req.oauthLinkUser = userId;
+			start();
+		});
+	}
+
+	// provider redirected back: answers the same tokens as /login
+	this.oauthCallback = function (provider, req, res, next) {
+		if (!oauth.enabled(provider))
+			return next(new errors.NotFoundError(provider + ' sign-in is not configured'));
+		passport.authenticate(provider, { session: false, failWithError: true })(req, res, (err) => {
+			if (err)
+				return next(err);
+			sendSession(req.user, res, next);
+		});
+	}
+
+	// url the logged in user opens to link a provider to their account
+	this.linkProvider = function (req, res, next) {
+		var provider = req.params.provider;
+		if (!oauth.enabled(provider))
+			return next(new errors.NotFoundError(provider + ' sign-in is not configured'));
+		res.json({ 'url': '/auth/' + provider + '?link=' + encodeURIComponent(oauth.linkToken(req.user)) });
+	}
+
+	// unlinking is refused when it would leave the account without any way to log in
+	this.unlinkProvider = function (req, res, next) {
+		var field = oauth.PROVIDERS[req.params.provider].field;
+		Users.findById(req.user, (err, user) => {
+			if (err)
+				return next(err);
+			if (!user[field])
+				return next(new errors.ConflictError(req.params.provider + ' is not linked to this account'));
+			var others = Object.keys(oauth.PROVIDERS)
+				.filter((p) => p !== req.params.provider && user[oauth.PROVIDERS[p].field]);
+			if (!user.hashed_password && others.length === 0)
+				return next(new errors.ConflictError('set a password or link another provider before unlinking the last one'));
+			var unset = {};
+			unset[field] = '';
+			Users.update({ _id: user._id }, { $unset: unset }, (err) => {
+				if (err)
+					return next(err);
+				res.json({ 'unlinked': req.params.provider });
+			});
+		});
+	}
+
+	this.resendVerification = function (req, res, next) {
+		Users.findById(req.user, (err, user) => {
+			if (err)
+				return next(err);
+			if (user.emailVerified)
+				return next(new errors.ConflictError('email address is already verified'));
+			if (!user.email)
+				return next(new errors.ValidationError('this account has no email address'));
+			sendVerification(user, (err) => {
+				if (err)
+					return next(err);
+				res.json({ 'sent': true });
+			});
+		});
+	}
 
+	// POSTed by the client, or opened straight from the email link with ?token=
+	this.verifyEmail = function (req, res, next) {
+		var fromLink = req.method === 'GET';
+		actionTokens.consume(fromLink ? req.query.token : req.body.token, 'verify_email', (err, userId) => {
+			if (err)
+				return next(err);
+			Users.update({ _id: userId }, { $set: { emailVerified: true } }, (err) => {
+				if (err)
+					return next(err);
+				if (fromLink)
+					return res.redirect('/index?email_verified=true');
+				res.json({ 'verified': true });
+			});
 		});
 	}
-	var validPassword = function (password, user){
-		let temp = user.salt; 
-		let hash_db = user.hashed_password; 
-		let newpass = temp + password; 
-		let hashed_password = crypto.createHash('sha512').update(newpass).digest("hex");
-		return hashed_password==hash_db; 
+
+	// answers the same whether or not the address belongs to an account, also when
+	// the mail cannot be sent, which is only logged
+	this.forgotPassword = function (req, res, next) {
+		Users.findOne({ email: req.body.email }, (err, user) => {
+			if (err)
+				return next(err);
+			if (!user)
+				return res.json({ 'sent': true });
+			actionTokens.issue(user.id, 'reset_password', (err, token) => {
+				if (err) {
+					console.error('password reset for ' + user.email + ' failed', err);
+					return res.json({ 'sent': true });
+				}
+				mail.sendPasswordReset(user, token, (err) => {
+					if (err)
+						console.error('password reset mail to ' + user.email + ' failed', err);
+					res.json({ 'sent': true });
+				});
+			});
+		});
+	}
+
+	// sets the new password and logs the user out everywhere, like changePassword
+	this.resetPassword = function (req, res, next) {
+		actionTokens.consume(req.body.token, 'reset_password', (err, userId) => {
+			if (err)
+				return next(err);
+			passwords.hash(req.body.new_password, (err, hashed_password) => {
+				if (err)
+					return next(err);
+				var update = passwords.userUpdate(hashed_password);
+				// the reset mail proved the address belongs to the user, so a lockout from
+				// guessing at the old password ends with it
+				update.$set.emailVerified = true;
+				update.$set.failedLogins = 0;
+				update.$unset.lockedUntil = '';
+				Users.update({ _id: userId }, update, (err) => {
+					if (err)
+						return next(err);
+					actionTokens.revokeAll(userId, 'reset_password', (err) => {
+						if (err)
+							return next(err);
+						tokens.revokeAll(userId, (err) => {
+							if (err)
+								return next(err);
+							res.json({ 'message': 'Password successfully updated' });
+						});
+					});
+				});
+			});
+		});
+	}
+
+	var sendVerification = function (user, done) {
+		actionTokens.issue(user.id, 'verify_email', (err, token) => {
+			if (err)
+				return done(err);
+			mail.sendVerification(user, token, done);
+		});
+	}
+
+	var sendSession = function (userId, res, next) {
+		tokens.issueSession(userId, (err, session) => {
+			if (err)
+				return next(err);
+			res.json(session);
+		});
 	}
 
 }
@@ -0,0 +1,79 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var links = require('../utils/links');
+
+// outgoing mail goes through one pluggable transport: an object with send(message, done)
+// where message is { to, subject, text }. MAIL_TRANSPORT picks a built-in one:
+// 'console' prints messages, 'file' appends them as JSON lines to MAIL_FILE.
+// A real transport (SMTP, an API client) is plugged in with mail.use(transport).
+// Only NODE_ENV=development falls back to 'console'; elsewhere links printed to a
+// log would never reach anyone, so sending fails until a transport is chosen
+
+var consoleTransport = {
+    send: (message, done) => {
+        console.log('--- mail to ' + message.to + ': ' + message.subject + '\n' + message.text + '\n---');
+        done();
+    }
+};
+
+var fileTransport = (file) => ({
+    send: (message, done) => {
+        var line = JSON.stringify({ to: message.to, subject: message.subject, text: message.text, sentAt: new Date() }) + '\n';
+        fs.appendFile(file, line, done);
+    }
+});
+
+var missingTransport = {
+    send: (message, done) => done(new Error('no mail transport: set MAIL_TRANSPORT or plug one in with mail.use()'))
+};
+
+var builtIn = (name) => {
+    switch (name) {
+        case 'console':
+            return consoleTransport;
+        case 'file':
+            return fileTransport(process.env.MAIL_FILE || path.join(process.cwd(), 'mail.log'));
+        case undefined:
+        case '':
+            return process.env.NODE_ENV === 'development' ? consoleTransport : missingTransport;
+        default:
+            throw new Error('unknown MAIL_TRANSPORT ' + name + ', expected console or file');
+    }
+};
+
+var transport = builtIn(process.env.MAIL_TRANSPORT);
+
+var appUrl = links.appUrl;
+
+var use = (custom) => {
+    transport = custom;
+};
+
+var send = (message, done) => transport.send(message, done);
+
+var sendVerification = (user, token, done) => send({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: 'Hi ' + (user.name || '') + ',\n\nconfirm your email address by opening\n' +
+        appUrl() + '/email/verify?token=' + encodeURIComponent(token) + '\n\nThe link is valid for 24 hours.'
+}, done);
+
+var sendPasswordReset = (user, token, done) => send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: 'Hi ' + (user.name || '') + ',\n\nchoose a new password by opening\n' +
+        appUrl() + '/index?reset_token=' + encodeURIComponent(token) +
+        '\n\nThe link is valid for one hour. If you did not ask for this, ignore this email.'
+}, done);
+
+module.exports = {
+    consoleTransport: consoleTransport,
+    fileTransport: fileTransport,
+    builtIn: builtIn,
+    use: use,
+    send: send,
+    sendVerification: sendVerification,
+    sendPasswordReset: sendPasswordReset
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+var roles = require('../config/roles');
+var errors = require('../utils/errors');
+
+// role of the authenticated user, set by the jwt strategy as auth info
+var roleOf = (req) => (req.authInfo && req.authInfo.role) || 'student';
+
+// express middleware refusing users whose role lacks the permission
+var authorize = (permission) => (req, res, next) => {
+    if (!roles.can(roleOf(req), permission))
+        return next(new errors.ForbiddenError('your role does not allow this', [{ permission: permission }]));
+    next();
+};
+
+// express middleware refusing accounts whose email address is not verified yet
+authorize.verified = (req, res, next) => {
+    if (!req.authInfo || !req.authInfo.emailVerified)
+        return next(new errors.ForbiddenError('verify your email address first'));
+    next();
+};
+
+authorize.roleOf = roleOf;
+authorize.can = (req, permission) => roles.can(roleOf(req), permission);
+
+module.exports = authorize;
@@ -0,0 +1,22 @@
+'use strict';
+
+var errors = require('../utils/errors');
+
+// last middleware of the app, sends every error in the same JSON shape
+module.exports = function (err, req, res, next) {
+    var error = errors.normalize(err);
+    if (error.status >= 500)
+        console.error(error.cause || error);
+    // a streamed response cannot be turned into an error body any more
+    if (res.headersSent)
+        return res.destroy();
+    if (error.retryAfter)
+        res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(error.status).json({
+        error: {
+            code: error.code,
+            message: error.message,
+            details: error.details
+        }
+    });
+};
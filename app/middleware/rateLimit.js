@@ -0,0 +1,116 @@
+'use strict';
+
+var proxyaddr = require('proxy-addr');
+var RateLimits = require('../models/rateLimits');
+var errors = require('../utils/errors');
+var clock = require('../utils/clock');
+
+// fixed window rate limiting. A store counts hits per key: hit(key, windowMs, done)
+// calls done(err, { count, resetAt }) with resetAt in milliseconds
+
+// proxies whose X-Forwarded-For is believed, e.g. TRUST_PROXY="loopback, 10.0.0.0/8"
+var trust = proxyaddr.compile((process.env.TRUST_PROXY || '').split(',').map((s) => s.trim()).filter((s) => s));
+
+var clientIp = (req) => proxyaddr(req, trust);
+
+// counters kept in this process, fine for a single instance
+function MemoryStore() {
+    var windows = {};
+    var hits = 0;
+
+    this.hit = (key, windowMs, done) => {
+        var now = clock.now();
+        if (++hits % 1000 === 0)
+            this.prune();
+        var current = windows[key];
+        if (!current || current.resetAt <= now)
+            current = windows[key] = { count: 0, resetAt: now + windowMs };
+        current.count++;
+        done(null, { count: current.count, resetAt: current.resetAt });
+    };
+
+    // drops expired windows so the map does not grow forever
+    this.prune = () => {
+        var now = clock.now();
+        Object.keys(windows).forEach((key) => {
+            if (windows[key].resetAt <= now)
+                delete windows[key];
+        });
+    };
+}
+
+// counters in MongoDB, shared by every instance of the app. Each step is one conditional
+// update, so concurrent hits neither lose counts nor start a window twice
+function MongoStore() {
+    var state = (doc) => ({ count: doc.count, resetAt: doc.resetAt.getTime() });
+
+    this.hit = (key, windowMs, done) => {
+        var now = new Date(clock.now());
+        RateLimits.findOneAndUpdate(
+            { key: key, resetAt: { $gt: now } },
+            { $inc: { count: 1 } },
+            { new: true },
+            (err, current) => {
+                if (err)
+                    return done(err);
+                if (current)
+                    return done(null, state(current));
+                // no open window: restart the expired one, or insert the first one. Only
+                // one of several concurrent hits wins, the others find its window open
+                RateLimits.findOneAndUpdate(
+                    { key: key, resetAt: { $lte: now } },
+                    { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+                    { new: true, upsert: true },
+                    (err, fresh) => {
+                        if (err && err.code === 11000)
+                            return this.hit(key, windowMs, done);
+                        if (err)
+                            return done(err);
+                        done(null, state(fresh));
+                    }
+                );
+            }
+        );
+    };
+}
+
+var defaultStore = process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+
+var KEYS = {
+    ip: (req) => 'ip:' + clientIp(req),
+    // the logged in user, or the email a login or signup is attempted for
+    account: (req) => {
+        if (req.user)
+            return 'user:' + req.user;
+        if (req.body && typeof req.body.email === 'string')
+            return 'email:' + req.body.email.trim().toLowerCase();
+        return null;
+    }
+};
+
+// express middleware allowing options.max requests per options.windowMs for each key
+var rateLimit = (options) => {
+    var store = options.store || defaultStore;
+    var keyOf = typeof options.key === 'function' ? options.key : KEYS[options.key || 'ip'];
+    return (req, res, next) => {
+        var key = keyOf(req);
+        if (!key)
+            return next();
+        store.hit(options.name + ':' + key, options.windowMs, (err, state) => {
+            if (err)
+                return next(err);
+            res.setHeader('X-RateLimit-Limit', options.max);
+            res.setHeader('X-RateLimit-Remaining', Math.max(0, options.max - state.count));
+            if (state.count <= options.max)
+                return next();
+            var retryAfter = Math.max(1, Math.ceil((state.resetAt - clock.now()) / 1000));
+            next(new errors.RateLimitError('too many requests, try again later', retryAfter));
+        });
+    };
+};
+
+rateLimit.MemoryStore = MemoryStore;
+rateLimit.MongoStore = MongoStore;
+rateLimit.clientIp = clientIp;
+
+module.exports = rateLimit;
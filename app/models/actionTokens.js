@@ -0,0 +1,18 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// server side record of an emailed token, so each one can only be used once
+var ActionToken = new Schema({
+    jti: { type: String, unique: true },
+    user: { type: String, index: true },
+    // 'verify_email' or 'reset_password'
+    purpose: String,
+    expiresAt: Date,
+    usedAt: Date
+});
+
+ActionToken.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActionToken', ActionToken);
@@ -0,0 +1,20 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// one submitted ballot; voter and createdAt are only kept for identified polls.
+// Choice polls keep the chosen option indexes, open questions the text or value
+var Ballot = new Schema({
+    poll: { type: String, index: true },
+    voter: String,
+    choices: [Number],
+    text: String,
+    value: Number,
+    // text answers on moderated polls wait for the owner's decision
+    moderation: { type: String, enum: ['pending', 'approved', 'rejected'] },
+    createdAt: Date,
+    changedAt: Date
+});
+
+module.exports = mongoose.model('Ballot', Ballot);
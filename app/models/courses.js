@@ -0,0 +1,21 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// a class taught by its owner; polls attached to it only admit enrolled students
+var Course = new Schema({
+    name: String,
+    owner: { type: String, index: true },
+    students: { type: [String], index: true },
+    // what students type in to enroll
+    joinCode: { type: String, unique: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+Course.methods.admits = function (userId) {
+    userId = String(userId);
+    return this.owner === userId || this.students.indexOf(userId) !== -1;
+};
+
+module.exports = mongoose.model('Course', Course);
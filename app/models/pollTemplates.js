@@ -0,0 +1,16 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// saved poll settings a user creates new polls from, e.g. the same quiz every semester
+var PollTemplate = new Schema({
+    owner: { type: String, index: true },
+    // label in the user's list of templates
+    name: String,
+    // the poll in the shape of a /auth/new_poll request body, without its schedule or course
+    definition: Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PollTemplate', PollTemplate);
@@ -5,12 +5,122 @@ var Schema = mongoose.Schema;
 
 var Poll = new Schema({
     name:String,
+    // 'choice' polls pick among the options, 'text' and 'numeric' polls take open answers
+    // and have no options, see app/utils/answers.js; 'scale' polls have one option per
+    // point of the scale, see app/utils/scales.js
+    questionType : { type: String, enum: ['choice', 'text', 'numeric', 'scale'], default: 'choice' },
+    // limits on open answers: the length of text, the range of numbers and whether
+    // they must be whole numbers; on scale polls min and max are its end points
+    answerRules : {
+        maxLength : Number,
+        min : Number,
+        max : Number,
+        integer : Boolean
+    },
+    // text answers only show in the results once the owner approves them
+    moderated : { type: Boolean, default: false },
+    // short code for share links and QR codes, see app/utils/codes.js
+    joinCode : { type: String, index: { unique: true, sparse: true } },
     options: [{
         option : String,
-        score : Number
+        score : Number,
+        // what choosing the option is worth in weighted results
+        weight : Number
          }],
-    voters : {type:[String]}  
-    
+    // user ids, or receipts on anonymous polls
+    voters : {type:[String]},
+    // 'single' picks one option, 'multiple' up to maxChoices, 'ranked' orders options by preference
+    ballotType : { type: String, enum: ['single', 'multiple', 'ranked'], default: 'single' },
+    maxChoices : Number,
+    // 'identified' keeps who voted for what, 'anonymous' only keeps voter receipts
+    privacy : { type: String, enum: ['identified', 'anonymous'], default: 'identified' },
+    // lets voters change or retract their ballot while the poll is open
+    allowVoteChanges : { type: Boolean, default: false },
+    // course whose enrolled students alone may see and vote on the poll
+    course : { type: String, index: true },
+    // voting window; either end may be left open
+    opensAt : Date,
+    closesAt : Date,
+    // 'scheduled' polls open by themselves at opensAt, 'closed' is only set by the owner
+    status : { type: String, enum: ['scheduled', 'open', 'closed'], default: 'open' },
+    // who sees the tallies besides the owner: everyone 'always', voters 'after_voting',
+    // everyone once the poll is closed 'after_close', or nobody until the owner reveals
+    // them 'on_reveal'; revealing shows them to everyone whatever the setting
+    resultsVisibility : { type: String, enum: ['always', 'after_voting', 'after_close', 'on_reveal'], default: 'always' },
+    revealedAt : Date,
+    // set on quiz polls: the indexes of the correct options, the points a right ballot
+    // earns, whether voters learn if they were right as soon as they vote or once the
+    // poll closes, and the id of the QuizSeries whose leaderboard it counts towards
+    quiz : {
+        correct : [Number],
+        points : Number,
+        feedback : { type: String, enum: ['immediate', 'deferred'] },
+        series : { type: String, index: true }
+    },
+    // archived polls are hidden from the owner's list and take no votes
+    archived : { type: Boolean, default: false },
+    archivedAt : Date,
+    // audit trail of changes made by the owner after creation
+    history : [{
+        action : String,
+        by : String,
+        at : Date,
+        details : Schema.Types.Mixed
+    }]
+
 });
 
+// status of the poll at the given time, taking the voting window into account
+Poll.methods.currentStatus = function (now) {
+    now = now || new Date();
+    if (this.status === 'closed')
+        return 'closed';
+    if (this.closesAt && now >= this.closesAt)
+        return 'closed';
+    if (this.status === 'scheduled' && this.opensAt && now < this.opensAt)
+        return 'scheduled';
+    return 'open';
+};
+
+// reason a vote would be refused at the given time, or null if votes are accepted
+Poll.methods.votingError = function (now) {
+    if (this.archived)
+        return 'poll is archived';
+    switch (this.currentStatus(now)) {
+        case 'scheduled':
+            return 'poll opens at ' + this.opensAt.toISOString();
+        case 'closed':
+            return 'poll is closed';
+        default:
+            return null;
+    }
+};
+
+// whether someone other than the owner sees the tallies; `voted` tells if they voted
+Poll.methods.resultsVisible = function (voted, now) {
+    if (this.revealedAt)
+        return true;
+    switch (this.resultsVisibility) {
+        case 'after_voting':
+            return !!voted || this.currentStatus(now) === 'closed';
+        case 'after_close':
+            return this.currentStatus(now) === 'closed';
+        case 'on_reveal':
+            return false;
+        default:
+            return true;
+    }
+};
+
+Poll.methods.isQuiz = function () {
+    return !!(this.quiz && this.quiz.correct && this.quiz.correct.length);
+};
+
+// whether someone other than the owner may learn the correct options of a quiz
+Poll.methods.answersVisible = function (voted, now) {
+    if (this.currentStatus(now) === 'closed')
+        return true;
+    return this.quiz.feedback !== 'deferred' && !!voted;
+};
+
 module.exports = mongoose.model('Poll', Poll);
@@ -0,0 +1,13 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// quiz polls whose scores add up to one leaderboard, e.g. the weekly quizzes of a class
+var QuizSeries = new Schema({
+    name: String,
+    owner: { type: String, index: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('QuizSeries', QuizSeries);
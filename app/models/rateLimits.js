@@ -0,0 +1,15 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// one fixed window counter per rate limit key, shared by every app instance
+var RateLimit = new Schema({
+    key: { type: String, unique: true },
+    count: Number,
+    resetAt: Date
+});
+
+RateLimit.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimit);
@@ -0,0 +1,20 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// refresh tokens are rotated on every use; all tokens descending from one login share
+// a family, and reusing a rotated token revokes the whole family
+var RefreshToken = new Schema({
+    user: { type: String, index: true },
+    family: { type: String, index: true },
+    // sha256 of the token, the token itself is only ever known to the client
+    tokenHash: { type: String, unique: true },
+    expiresAt: Date,
+    revokedAt: Date
+});
+
+// let mongo drop tokens once they have expired
+RefreshToken.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshToken);
@@ -0,0 +1,39 @@
+'use strict';
+
+var mongoose = require('mongoose');
+var Schema = mongoose.Schema;
+
+// polls asked together as one questionnaire and answered in one submission, see
+// app/utils/surveys.js. polls holds the ids of all of its questions in order
+var Survey = new Schema({
+    name: String,
+    owner: { type: String, index: true },
+    polls: [String],
+    // respondents go through the sections in order, unless a branch of the section
+    // they are in sends them further on or to the end; surveys made before sections
+    // existed ask all of their polls as required questions of one section
+    sections: [{
+        title: String,
+        questions: [{
+            poll: String,
+            required: { type: Boolean, default: true }
+        }],
+        // the first branch whose condition holds for the answer to its poll, a question
+        // of this or an earlier section, is taken: to section goto, or without goto to
+        // the end. Choice answers match options, numeric and scale answers a min-max
+        // range of the values given, not of the scale steps
+        branches: [{
+            poll: String,
+            options: [Number],
+            min: Number,
+            max: Number,
+            goto: Number
+        }],
+        // submissions that went through the section
+        reached: { type: Number, default: 0 }
+    }],
+    responses: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Survey', Survey);
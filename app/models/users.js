@@ -5,10 +5,24 @@ var Schema = mongoose.Schema;
 
 var User = new Schema({
     email:String,
+    // versioned hash from app/utils/passwords.js
     hashed_password: String,
+    // only set on accounts still using the old sha512 scheme
     salt:String,
     name:String,
-    polls:{type:[String]}
+    // unverified accounts cannot create polls or courses
+    emailVerified:{type:Boolean, default:false},
+    // see app/config/roles.js for what each role may do
+    role:{type:String, enum:['student', 'instructor', 'admin'], default:'student'},
+    // part of every access token, incremented to log the user out on all devices
+    tokenVersion:{type:Number, default:0},
+    // consecutive wrong passwords and the lock they caused, see app/utils/lockout.js
+    failedLogins:{type:Number, default:0},
+    lockedUntil:Date,
+    polls:{type:[String]},
+    // ids of linked OAuth accounts
+    githubId:{type:String, index:{unique:true, sparse:true}},
+    googleId:{type:String, index:{unique:true, sparse:true}}
 });
 
 module.exports = mongoose.model('User', User);
@@ -1,33 +1,79 @@
 'use strict';
 
 var path = process.cwd();
+var bodyParser = require('body-parser');
 var UserHandler = require('../handlers/userHandler.server');
-const jwt = require('jsonwebtoken');
 const url = require('url');
 var PollHandler = require('../handlers/pollHandler.server');
+var AdminHandler = require('../handlers/adminHandler.server');
+var CourseHandler = require('../handlers/courseHandler.server');
+var QuizHandler = require('../handlers/quizHandler.server');
+var SurveyHandler = require('../handlers/surveyHandler.server');
+var SocketHandler = require('../handlers/socketHandler.server');
+var authorize = require('../middleware/authorize');
+var oauth = require('../config/oauth');
+var rateLimit = require('../middleware/rateLimit');
+var validate = require('../validation');
+var schemas = require('../validation/schemas');
+var errors = require('../utils/errors');
+var errorHandler = require('../middleware/errorHandler');
+var migrations = require('../config/migrations');
 module.exports = function (app, passport,io) {
 
  
 
     var userHandler = new UserHandler(passport);
-    var pollHandler = new PollHandler();
+    var socketHandler = new SocketHandler(io);
+    var pollHandler = new PollHandler(socketHandler);
+    var adminHandler = new AdminHandler();
+    var courseHandler = new CourseHandler();
+    var quizHandler = new QuizHandler();
+    var surveyHandler = new SurveyHandler(socketHandler);
+    // accounts made before roles, verification and sorted receipts are migrated before
+    // any request is answered
+    migrations.start();
+    app.use(migrations.ready);
+    // API routes pass authentication failures on to the error handler
+    var requireAuth = passport.authenticate('jwt',{session:false,failWithError:true});
+    // CSV uploads arrive as the raw request body
+    var csvBody = bodyParser.text({ type: ['text/csv', 'application/csv'], limit: '1mb' });
+    var MINUTE = 60 * 1000;
+    var limits = {
+        loginIp: rateLimit({ name: 'login', key: 'ip', windowMs: 15 * MINUTE, max: 50 }),
+        loginAccount: rateLimit({ name: 'login', key: 'account', windowMs: 15 * MINUTE, max: 10 }),
+        signupIp: rateLimit({ name: 'signup', key: 'ip', windowMs: 60 * MINUTE, max: 20 }),
+        // a whole lecture hall may vote from behind one address
+        voteIp: rateLimit({ name: 'vote', key: 'ip', windowMs: MINUTE, max: 600 }),
+        voteAccount: rateLimit({ name: 'vote', key: 'account', windowMs: MINUTE, max: 30 }),
+        // routes that send mail, to an address typed in or the user's own
+        mailIp: rateLimit({ name: 'mail', key: 'ip', windowMs: 60 * MINUTE, max: 20 }),
+        mailAccount: rateLimit({ name: 'mail', key: 'account', windowMs: 60 * MINUTE, max: 3 })
+    };
+    // public routes that behave differently for logged in users
+    var optionalAuth = (req, res, next) => {
+        passport.authenticate('jwt',{session:false}, (err, user, info) => {
+            if (err) { return next(err); }
+            if (user) {
+                req.user = user;
+                req.authInfo = info;
+            }
+            next();
+        })(req, res, next);
+    };
 
 
     //  HOME - redirects to login if not logged in
-    app.get('/', function(req, res, next) {
-        passport.authenticate('jwt',{session:false}, function(err, user, info) {
-        console.log(err+'--'+user+'--'+info);
-          if (err) { return next(err); }
-          if (!user) { 
-            return res.status('400').sendFile(path + '/public/index.html'); }
-        else{
-            if(req.query.vote){
-            return res.sendFile(path + '/public/user.html',{headers:{openVote:true}})
-            }else{
-
-                return res.sendFile(path + '/public/user.html')
-            }
-        }
+    app.get('/', validate(schemas.home), function(req, res, next) {
+        passport.authenticate('jwt',{session:false}, function(err, user) {
+            if (err)
+                return next(err);
+            // a failed send (missing file, aborted request) goes to the error handler
+            var sent = (err) => { if (err) next(err); };
+            if (!user)
+                return res.sendFile(path + '/public/index.html', sent);
+            if (req.query.vote)
+                return res.sendFile(path + '/public/user.html', {headers:{openVote:true}}, sent);
+            res.sendFile(path + '/public/user.html', sent);
         })(req, res, next);
     });
 
@@ -37,28 +83,94 @@ module.exports = function (app, passport,io) {
         res.sendFile(path + '/public/index.html');
     });
 
+    // share links and their QR codes, e.g. /p/7KQ9RM
+    app.get('/p/:code', validate(schemas.joinCode), (req, res, next) => {
+        pollHandler.resolveJoinCode(req, res, next);
+    });
+
+    app.get('/p/:code/qr.svg', validate(schemas.joinCode), (req, res, next) => {
+        pollHandler.getJoinQrCode(req, res, next);
+    });
+
 
     app.route('/signup')
-        .post((req, res) => {
-            userHandler.addUser(req, res);
+        .post(limits.signupIp, validate(schemas.signup), (req, res, next) => {
+            userHandler.addUser(req, res, next);
         });
 
 
   
     app.post('/login',
-    passport.authenticate('local', { session: false }),
-    function(req, res) {
-        const token = jwt.sign(req.user, process.env.JWT_KEY);
-        if(!req.user)
-        return res.send(err);
-        res.json({'token':token});
+    limits.loginIp,
+    validate(schemas.login),
+    limits.loginAccount,
+    function(req, res, next) {
+        passport.authenticate('local', { session: false }, function(err, userId, info) {
+            if (err) { return next(err); }
+            if (!userId && info && info.retryAfter)
+            return next(new errors.RateLimitError('too many failed logins, account locked', info.retryAfter));
+            if (!userId)
+            return next(new errors.AuthError('invalid email or password'));
+            req.user = userId;
+            userHandler.login(req, res, next);
+        })(req, res, next);
+    });
+
+    app.post('/token/refresh', validate(schemas.refreshToken), (req, res, next) => {
+        userHandler.refresh(req, res, next);
     });
 
 
     app.route('/logout')
         .get(function (req, res) {
             res.redirect('/');
+        })
+        .post(validate(schemas.refreshToken), (req, res, next) => {
+            userHandler.logout(req, res, next);
+        });
+
+    // GitHub and Google sign-in
+    Object.keys(oauth.PROVIDERS).forEach((provider) => {
+        app.get('/auth/' + provider, validate(schemas.oauthStart), (req, res, next) => {
+            userHandler.oauthStart(provider, req, res, next);
+        });
+
+        app.get('/auth/' + provider + '/callback', (req, res, next) => {
+            userHandler.oauthCallback(provider, req, res, next);
         });
+    });
+
+    app.post('/auth/link/:provider', requireAuth, validate(schemas.provider), (req, res, next) => {
+        userHandler.linkProvider(req, res, next);
+    });
+
+    app.post('/auth/unlink/:provider', requireAuth, validate(schemas.provider), (req, res, next) => {
+        userHandler.unlinkProvider(req, res, next);
+    });
+
+    app.post('/auth/email/send_verification', limits.mailIp, requireAuth, limits.mailAccount, (req, res, next) => {
+        userHandler.resendVerification(req, res, next);
+    });
+
+    app.route('/email/verify')
+        .get(validate(schemas.emailLink), (req, res, next) => {
+            userHandler.verifyEmail(req, res, next);
+        })
+        .post(validate(schemas.emailToken), (req, res, next) => {
+            userHandler.verifyEmail(req, res, next);
+        });
+
+    app.post('/password/forgot', limits.mailIp, validate(schemas.forgotPassword), limits.mailAccount, (req, res, next) => {
+        userHandler.forgotPassword(req, res, next);
+    });
+
+    app.post('/password/reset', validate(schemas.resetPassword), (req, res, next) => {
+        userHandler.resetPassword(req, res, next);
+    });
+
+    app.post('/auth/logout_all', requireAuth, (req, res, next) => {
+        userHandler.logoutAll(req, res, next);
+    });
 
 
     app.route('/user')
@@ -69,33 +181,203 @@ module.exports = function (app, passport,io) {
                 res.sendFile(path + '/public/user.html');
         });
 
-    app.get('/auth/user_details', passport.authenticate('jwt',{session:false}) ,(req, res) => {
-        userHandler.getUserById(req,res);
+    app.get('/auth/user_details', requireAuth,(req, res, next) => {
+        userHandler.getUserById(req,res,next);
     })
 
-    app.post('/auth/new_poll', passport.authenticate('jwt',{session:false}) ,(req, res) => {
-        pollHandler.addPoll(req,res);
+    app.post('/auth/new_poll', requireAuth, authorize.verified, authorize('poll:create'), validate(schemas.newPoll), (req, res, next) => {
+        pollHandler.addPoll(req,res,next);
+    });
+
+    // bulk creation from a file sent as the request body: text/csv or JSON
+    app.post('/auth/polls/import', requireAuth, authorize.verified, authorize('poll:create'), csvBody, validate(schemas.importPolls), (req, res, next) => {
+        pollHandler.importPolls(req,res,next);
+    });
+
+    app.route('/auth/templates')
+        .get(requireAuth, (req, res, next) => {
+            pollHandler.getTemplates(req,res,next);
+        })
+        .post(requireAuth, validate(schemas.newTemplate), (req, res, next) => {
+            pollHandler.saveTemplate(req,res,next);
+        });
+
+    app.post('/auth/templates/use', requireAuth, authorize.verified, authorize('poll:create'), validate(schemas.useTemplate), (req, res, next) => {
+        pollHandler.useTemplate(req,res,next);
+    });
+
+    app.post('/auth/templates/delete', requireAuth, validate(schemas.templateAction), (req, res, next) => {
+        pollHandler.deleteTemplate(req,res,next);
     });
 
-    app.post('/poll',(req,res)=>{
-        if(!req.body.poll_id)
-        return res.status(400).send('no poll_id');
-        pollHandler.getPollById(req,res);
+    app.post('/poll',optionalAuth,validate(schemas.poll),(req,res,next)=>{
+        pollHandler.getPollById(req,res,next);
         
     });
-    app.post('/auth/vote',passport.authenticate('jwt',{session:false}),(req,res)=>{
-        if(!req.body.poll_id||!req.body.option)
-            res.status(400).send('invalid request');
-        pollHandler.update(req,res,io);
+    app.post('/auth/vote',limits.voteIp,requireAuth,limits.voteAccount,validate(schemas.vote),(req,res,next)=>{
+        pollHandler.update(req,res,next);
     })
 
-    app.get('/auth/user/polls',passport.authenticate('jwt',{session:false}),(req,res)=>{
-        userHandler.getPolls(req,res);
+    app.post('/auth/vote/change',limits.voteIp,requireAuth,limits.voteAccount,validate(schemas.vote),(req,res,next)=>{
+        pollHandler.changeVote(req,res,next);
+    });
+
+    app.post('/auth/vote/retract',limits.voteIp,requireAuth,limits.voteAccount,validate(schemas.retractVote),(req,res,next)=>{
+        pollHandler.retractVote(req,res,next);
+    });
+
+    app.post('/auth/poll/ballots',requireAuth,authorize('poll:view_identified'),validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.getBallots(req,res,next);
+    });
+
+    app.get('/auth/poll/export',requireAuth,validate(schemas.exportPoll),(req,res,next)=>{
+        pollHandler.exportPoll(req,res,next);
+    });
+
+    // text answers and their moderation
+    app.get('/auth/poll/responses',requireAuth,validate(schemas.responses),(req,res,next)=>{
+        pollHandler.getResponses(req,res,next);
+    });
+
+    app.post('/auth/poll/responses/moderate',requireAuth,validate(schemas.moderateResponse),(req,res,next)=>{
+        pollHandler.moderateResponse(req,res,next);
+    });
+
+    app.get('/auth/poll/share',requireAuth,validate(schemas.sharePoll),(req,res,next)=>{
+        pollHandler.getShareInfo(req,res,next);
+    });
+
+    app.post('/auth/poll/rename',requireAuth,validate(schemas.renamePoll),(req,res,next)=>{
+        pollHandler.renamePoll(req,res,next);
+    });
+
+    app.post('/auth/poll/options/add',requireAuth,validate(schemas.addOption),(req,res,next)=>{
+        pollHandler.addOption(req,res,next);
+    });
+
+    app.post('/auth/poll/options/edit',requireAuth,validate(schemas.editOption),(req,res,next)=>{
+        pollHandler.editOption(req,res,next);
+    });
+
+    app.post('/auth/poll/options/remove',requireAuth,validate(schemas.removeOption),(req,res,next)=>{
+        pollHandler.removeOption(req,res,next);
+    });
+
+    app.post('/auth/poll/history',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.getHistory(req,res,next);
+    });
+
+    app.post('/auth/poll/archive',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.archivePoll(req,res,next);
+    });
+
+    app.post('/auth/poll/unarchive',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.unarchivePoll(req,res,next);
+    });
+
+    app.post('/auth/poll/delete',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.deletePoll(req,res,next);
+    });
+
+    app.post('/auth/poll/open',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.openPoll(req,res,next);
+    });
+
+    app.post('/auth/poll/close',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.closePoll(req,res,next);
+    });
+
+    app.post('/auth/poll/reopen',requireAuth,validate(schemas.reopenPoll),(req,res,next)=>{
+        pollHandler.reopenPoll(req,res,next);
+    });
+
+    // presenter mode: who sees live tallies, and revealing them to everyone
+    app.post('/auth/poll/results_visibility',requireAuth,validate(schemas.resultsVisibility),(req,res,next)=>{
+        pollHandler.setResultsVisibility(req,res,next);
+    });
+
+    app.post('/auth/poll/reveal',requireAuth,validate(schemas.pollAction),(req,res,next)=>{
+        pollHandler.revealResults(req,res,next);
+    });
+
+    app.get('/auth/user/polls',requireAuth,validate(schemas.userPolls),(req,res,next)=>{
+        userHandler.getPolls(req,res,next);
+    });
+
+    app.post('/auth/user/change_password',requireAuth,validate(schemas.changePassword),(req,res,next)=>{
+        userHandler.changePassword(req,res,next);
+    });
+
+    // quiz polls: correct answers, series and their scores
+    app.post('/auth/poll/answers',requireAuth,validate(schemas.quizAnswers),(req,res,next)=>{
+        pollHandler.setQuizAnswers(req,res,next);
     });
 
-    app.post('/auth/user/change_password',passport.authenticate('jwt',{session:false}),(req,res)=>{
-        if(!req.body.current_password||!req.body.new_password)
-        return res.status(400).send('Fill all the details');
-        userHandler.changePassword(req,res);
+    app.route('/auth/quiz/series')
+        .get(requireAuth,(req,res,next)=>{
+            quizHandler.getSeries(req,res,next);
+        })
+        .post(requireAuth,authorize.verified,authorize('poll:create'),validate(schemas.newQuizSeries),(req,res,next)=>{
+            quizHandler.addSeries(req,res,next);
+        });
+
+    app.post('/auth/quiz/series/add',requireAuth,validate(schemas.quizSeriesPoll),(req,res,next)=>{
+        quizHandler.addToSeries(req,res,next);
+    });
+
+    app.post('/auth/quiz/series/remove',requireAuth,validate(schemas.quizSeriesPoll),(req,res,next)=>{
+        quizHandler.removeFromSeries(req,res,next);
+    });
+
+    app.get('/auth/quiz/leaderboard',requireAuth,validate(schemas.leaderboard),(req,res,next)=>{
+        quizHandler.getLeaderboard(req,res,next);
+    });
+
+    app.get('/auth/quiz/report',requireAuth,validate(schemas.quizReport),(req,res,next)=>{
+        quizHandler.getReport(req,res,next);
+    });
+
+    // surveys: several polls asked as one questionnaire and answered in one submission
+    app.route('/auth/surveys')
+        .get(requireAuth,(req,res,next)=>{
+            surveyHandler.getSurveys(req,res,next);
+        })
+        .post(requireAuth,authorize.verified,authorize('poll:create'),validate(schemas.newSurvey),(req,res,next)=>{
+            surveyHandler.addSurvey(req,res,next);
+        });
+
+    app.post('/auth/survey',requireAuth,validate(schemas.survey),(req,res,next)=>{
+        surveyHandler.getSurvey(req,res,next);
+    });
+
+    app.get('/auth/survey/results',requireAuth,validate(schemas.surveyResults),(req,res,next)=>{
+        surveyHandler.getResults(req,res,next);
     });
-};
+
+    app.post('/auth/survey/vote',limits.voteIp,requireAuth,limits.voteAccount,validate(schemas.submitSurvey),(req,res,next)=>{
+        surveyHandler.submitSurvey(req,res,next);
+    });
+
+    app.post('/auth/courses',requireAuth,authorize.verified,authorize('course:create'),validate(schemas.newCourse),(req,res,next)=>{
+        courseHandler.addCourse(req,res,next);
+    });
+
+    app.post('/auth/courses/join',requireAuth,validate(schemas.joinCourse),(req,res,next)=>{
+        courseHandler.joinCourse(req,res,next);
+    });
+
+    app.get('/auth/courses',requireAuth,(req,res,next)=>{
+        courseHandler.getCourses(req,res,next);
+    });
+
+    app.get('/auth/admin/users',requireAuth,authorize('user:manage_roles'),(req,res,next)=>{
+        adminHandler.getUsers(req,res,next);
+    });
+
+    app.post('/auth/admin/users/role',requireAuth,authorize('user:manage_roles'),validate(schemas.setRole),(req,res,next)=>{
+        adminHandler.setRole(req,res,next);
+    });
+
+    // must stay last so it sees the errors of every route above
+    app.use(errorHandler);
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+'use strict';
+
+var Users = require('../models/users');
+var Courses = require('../models/courses');
+var errors = require('./errors');
+var receipts = require('./receipts');
+var authorize = require('../middleware/authorize');
+
+// who may see a poll, shared by the REST handlers and the socket rooms. `req` is
+// anything carrying user and authInfo the way passport sets them on a request
+
+// polls of a course are only visible to its owner and enrolled students, done(err)
+var checkCourse = (req, poll, done) => {
+    if (!poll.course)
+        return done();
+    if (!req.user)
+        return done(new errors.AuthError('log in to see polls of a course'));
+    if (authorize.can(req, 'poll:manage_any'))
+        return done();
+    Courses.findById(poll.course, (err, course) => {
+        if (err)
+            return done(err);
+        if (!course || !course.admits(req.user))
+            return done(new errors.ForbiddenError('you are not enrolled in the course of this poll'));
+        done();
+    });
+};
+
+// whether the user owns the poll or may act as its owner, done(err, owner)
+var isOwner = (req, poll, done) => {
+    if (!req.user)
+        return done(null, false);
+    if (authorize.can(req, 'poll:manage_any'))
+        return done(null, true);
+    Users.count({ _id: req.user, polls: poll.id }, (err, count) => {
+        if (err)
+            return done(err);
+        done(null, count > 0);
+    });
+};
+
+// whether the poll's resultsVisibility lets the user see its tallies, done(err, visible)
+var canSeeResults = (req, poll, done) => {
+    if (poll.resultsVisible(receipts.hasVoted(poll, req.user)))
+        return done(null, true);
+    isOwner(req, poll, done);
+};
+
+module.exports = {
+    checkCourse: checkCourse,
+    isOwner: isOwner,
+    canSeeResults: canSeeResults
+};
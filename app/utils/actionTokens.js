@@ -0,0 +1,59 @@
+'use strict';
+
+var crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+var ActionTokens = require('../models/actionTokens');
+var errors = require('./errors');
+
+// signed, expiring, single-use tokens sent by email
+
+var TTL_SECONDS = {
+    verify_email: 24 * 60 * 60,
+    reset_password: 60 * 60
+};
+
+// done(err, token)
+var issue = (userId, purpose, done) => {
+    var jti = crypto.randomBytes(16).toString('hex');
+    ActionTokens.create({
+        jti: jti,
+        user: String(userId),
+        purpose: purpose,
+        expiresAt: new Date(Date.now() + TTL_SECONDS[purpose] * 1000)
+    }, (err) => {
+        if (err)
+            return done(err);
+        done(null, jwt.sign({ sub: String(userId), purpose: purpose, jti: jti }, process.env.JWT_KEY, { expiresIn: TTL_SECONDS[purpose] }));
+    });
+};
+
+// checks the token and marks it used, done(err, userId)
+var consume = (token, purpose, done) => {
+    var invalid = new errors.ValidationError('invalid, expired or already used token', [{ field: 'token', location: 'body', message: 'is not valid' }]);
+    jwt.verify(token, process.env.JWT_KEY, (err, payload) => {
+        if (err || payload.purpose !== purpose)
+            return done(invalid);
+        ActionTokens.findOneAndUpdate(
+            { jti: payload.jti, purpose: purpose, usedAt: null },
+            { $set: { usedAt: new Date() } },
+            (err, record) => {
+                if (err)
+                    return done(err);
+                if (!record)
+                    return done(invalid);
+                done(null, payload.sub);
+            }
+        );
+    });
+};
+
+// invalidates every outstanding token of the user for this purpose
+var revokeAll = (userId, purpose, done) => {
+    ActionTokens.update({ user: String(userId), purpose: purpose, usedAt: null }, { $set: { usedAt: new Date() } }, { multi: true }, done);
+};
+
+module.exports = {
+    issue: issue,
+    consume: consume,
+    revokeAll: revokeAll
+};
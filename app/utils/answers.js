@@ -0,0 +1,123 @@
+'use strict';
+
+// open questions: 'text' polls take a short written answer, 'numeric' polls a number.
+// Their ballots keep the answer itself, the results are summaries of all answers
+
+// 'scale' questions are choice polls underneath, see app/utils/scales.js
+var QUESTION_TYPES = ['choice', 'text', 'numeric', 'scale'];
+var TEXT_MAX_LENGTH = 280;
+var TEXT_LIMIT = 2000;
+// text answers listed in the results, newest first
+var LISTED_ANSWERS = 100;
+var TOP_WORDS = 50;
+var HISTOGRAM_BINS = 10;
+
+// words too common to tell anything about the answers
+var STOP_WORDS = ('a an and are as at be but by for from has have i in is it its of on or ' +
+    'so that the their there this to was we were with you').split(' ');
+
+var isOpen = (poll) => poll.questionType === 'text' || poll.questionType === 'numeric';
+
+// checks an answer against the poll's answerRules, returns { text }, { value } or { error }
+var parseAnswer = (poll, raw) => {
+    var rules = poll.answerRules || {};
+    if (poll.questionType === 'text') {
+        if (typeof raw !== 'string' && typeof raw !== 'number')
+            return { error: 'answer must be some text' };
+        var text = String(raw).trim();
+        var maxLength = rules.maxLength || TEXT_MAX_LENGTH;
+        if (!text.length)
+            return { error: 'answer must not be empty' };
+        if (text.length > maxLength)
+            return { error: 'answer must be at most ' + maxLength + ' characters' };
+        return { text: text };
+    }
+    var value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !isFinite(value))
+        return { error: 'answer must be a number' };
+    if (rules.integer && !Number.isInteger(value))
+        return { error: 'answer must be a whole number' };
+    if (typeof rules.min === 'number' && value < rules.min)
+        return { error: 'answer must be at least ' + rules.min };
+    if (typeof rules.max === 'number' && value > rules.max)
+        return { error: 'answer must be at most ' + rules.max };
+    return { value: value };
+};
+
+// how often each word occurs over all answers, most frequent first
+var wordFrequency = (texts) => {
+    var counts = {};
+    texts.forEach((text) => {
+        (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || []).forEach((word) => {
+            if (word.length < 2 || STOP_WORDS.indexOf(word) !== -1)
+                return;
+            counts[word] = (counts[word] || 0) + 1;
+        });
+    });
+    return Object.keys(counts)
+        .map((word) => ({ word: word, count: counts[word] }))
+        .sort((a, b) => b.count - a.count || (a.word < b.word ? -1 : 1))
+        .slice(0, TOP_WORDS);
+};
+
+// counts per bin: one bin per value for whole numbers over a short range, otherwise
+// HISTOGRAM_BINS bins of equal width between the lowest and highest possible answer
+var histogram = (sorted, rules) => {
+    var low = typeof rules.min === 'number' ? rules.min : sorted[0];
+    var high = typeof rules.max === 'number' ? rules.max : sorted[sorted.length - 1];
+    var bins = [];
+    if (rules.integer && Number.isInteger(low) && Number.isInteger(high) && high - low < HISTOGRAM_BINS * 2) {
+        for (var v = low; v <= high; v++)
+            bins.push({ from: v, to: v, count: 0 });
+        sorted.forEach((value) => bins[value - low].count++);
+        return bins;
+    }
+    var width = (high - low) / HISTOGRAM_BINS || 1;
+    for (var i = 0; i < HISTOGRAM_BINS; i++)
+        bins.push({ from: low + i * width, to: low + (i + 1) * width, count: 0 });
+    sorted.forEach((value) => {
+        bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - low) / width))].count++;
+    });
+    return bins;
+};
+
+var numericSummary = (values, rules) => {
+    if (!values.length)
+        return { count: 0, histogram: [] };
+    var sorted = values.slice().sort((a, b) => a - b);
+    var n = sorted.length;
+    return {
+        count: n,
+        min: sorted[0],
+        max: sorted[n - 1],
+        mean: sorted.reduce((sum, value) => sum + value, 0) / n,
+        median: n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2,
+        histogram: histogram(sorted, rules)
+    };
+};
+
+// text answers the results may show: approved ones, and on unmoderated polls all of them
+var shown = (ballot) => !ballot.moderation || ballot.moderation === 'approved';
+
+// results of an open question from its ballots, newest first
+var computeResults = (poll, list) => {
+    var results = { type: poll.questionType, voters: poll.voters.length };
+    if (poll.questionType === 'numeric')
+        return Object.assign(results, numericSummary(list.map((b) => b.value), poll.answerRules || {}));
+    var visible = list.filter(shown);
+    results.answers = visible.slice(0, LISTED_ANSWERS).map((b) => ({ id: b._id, text: b.text }));
+    results.words = wordFrequency(visible.map((b) => b.text));
+    results.pending = list.filter((b) => b.moderation === 'pending').length;
+    return results;
+};
+
+module.exports = {
+    QUESTION_TYPES: QUESTION_TYPES,
+    TEXT_MAX_LENGTH: TEXT_MAX_LENGTH,
+    TEXT_LIMIT: TEXT_LIMIT,
+    isOpen: isOpen,
+    parseAnswer: parseAnswer,
+    wordFrequency: wordFrequency,
+    numericSummary: numericSummary,
+    computeResults: computeResults
+};
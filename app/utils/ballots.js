@@ -0,0 +1,134 @@
+'use strict';
+
+var scales = require('./scales');
+
+// ballot shapes accepted by each ballot type and how their results are computed
+
+var BALLOT_TYPES = ['single', 'multiple', 'ranked'];
+
+// options may arrive as a JSON string from url encoded forms
+var parseList = (raw) => {
+    if (Array.isArray(raw))
+        return raw;
+    if (typeof raw === 'string' && raw.trim().charAt(0) === '[') {
+        try {
+            var list = JSON.parse(raw);
+            return Array.isArray(list) ? list : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+};
+
+// a number, or a string of digits as app/validation/index.js reads integers; Number()
+// alone would make option 0 of a blank string
+var toIndex = (value, count) => {
+    var index;
+    if (typeof value === 'number')
+        index = value;
+    else if (typeof value === 'string' && /^-?\d+$/.test(value.trim()))
+        index = Number(value);
+    else
+        return null;
+    if (!Number.isInteger(index) || index < 0 || index >= count)
+        return null;
+    return index;
+};
+
+// turns the submitted option field into a list of option indices for the poll,
+// returns { error } when the ballot does not fit the poll's ballot type
+var parseBallot = (poll, raw) => {
+    var count = poll.options.length;
+    var type = poll.ballotType || 'single';
+
+    if (type === 'single') {
+        var index = toIndex(raw, count);
+        if (index === null)
+            return { error: 'option must be the index of one of the poll options' };
+        return { choices: [index] };
+    }
+
+    var list = parseList(raw);
+    if (!list || list.length === 0)
+        return { error: 'option must be a non-empty list of option indices' };
+    var choices = [];
+    for (var i = 0; i < list.length; i++) {
+        var choice = toIndex(list[i], count);
+        if (choice === null)
+            return { error: 'option ' + list[i] + ' is not one of the poll options' };
+        if (choices.indexOf(choice) !== -1)
+            return { error: 'option ' + choice + ' is listed more than once' };
+        choices.push(choice);
+    }
+    if (type === 'multiple' && choices.length > poll.maxChoices)
+        return { error: 'at most ' + poll.maxChoices + ' options may be chosen' };
+    return { choices: choices };
+};
+
+// option indices whose score a ballot adds to; ranked polls count first preferences
+var scoredChoices = (poll, choices) => {
+    return poll.ballotType === 'ranked' ? choices.slice(0, 1) : choices;
+};
+
+// instant-runoff count over ranked ballots, eliminating the weakest options
+// (all of them on a tie for last place) until one holds a majority
+var instantRunoff = (optionCount, rankings) => {
+    var active = [];
+    for (var i = 0; i < optionCount; i++)
+        active.push(i);
+    var rounds = [];
+
+    while (active.length > 0) {
+        var counts = new Array(optionCount).fill(0);
+        var exhausted = 0;
+        rankings.forEach((ranking) => {
+            for (var j = 0; j < ranking.length; j++) {
+                if (active.indexOf(ranking[j]) !== -1)
+                    return counts[ranking[j]]++;
+            }
+            exhausted++;
+        });
+        var continuing = rankings.length - exhausted;
+        var round = { counts: counts, exhausted: exhausted, eliminated: [] };
+        rounds.push(round);
+
+        var leader = active.reduce((best, i) => counts[i] > counts[best] ? i : best, active[0]);
+        if (continuing > 0 && counts[leader] * 2 > continuing)
+            return { rounds: rounds, winner: leader, tied: [] };
+
+        var lowest = Math.min.apply(null, active.map((i) => counts[i]));
+        var weakest = active.filter((i) => counts[i] === lowest);
+        if (weakest.length === active.length)
+            return { rounds: rounds, winner: null, tied: continuing > 0 ? active : [] };
+        round.eliminated = weakest;
+        active = active.filter((i) => weakest.indexOf(i) === -1);
+    }
+    return { rounds: rounds, winner: null, tied: [] };
+};
+
+// results of the poll in a shape that depends on its ballot type; scale polls and
+// weighted options add their statistics, see app/utils/scales.js
+var computeResults = (poll, rankings) => {
+    var type = poll.ballotType || 'single';
+    var results = {
+        type: poll.questionType === 'scale' ? 'scale' : type,
+        voters: poll.voters.length,
+        tallies: poll.options.map((opt) => ({ option: opt.option, score: opt.score, weight: opt.weight }))
+    };
+    if (type === 'ranked')
+        results.runoff = instantRunoff(poll.options.length, rankings || []);
+    if (poll.questionType === 'scale')
+        results.scale = scales.summary(poll);
+    else if (scales.isWeighted(poll))
+        results.weighted = scales.weightedScore(poll);
+    return results;
+};
+
+module.exports = {
+    BALLOT_TYPES: BALLOT_TYPES,
+    parseBallot: parseBallot,
+    scoredChoices: scoredChoices,
+    instantRunoff: instantRunoff,
+    computeResults: computeResults
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+// current time for rate limits and lockouts; tests swap in a fake clock with set()
+
+var source = () => Date.now();
+
+module.exports = {
+    now: () => source(),
+    set: (fn) => { source = fn; },
+    reset: () => { source = () => Date.now(); }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+var crypto = require('crypto');
+
+// short codes people read off a projector and type in: no 0/O, 1/I/L or U
+var ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+var ATTEMPTS = 5;
+
+var randomCode = (length) => {
+    var bytes = crypto.randomBytes(length);
+    var code = '';
+    for (var i = 0; i < length; i++)
+        code += ALPHABET[bytes[i] % ALPHABET.length];
+    return code;
+};
+
+// codes are matched case-insensitively and may be typed with spaces or dashes
+var normalize = (input) => String(input || '').toUpperCase().replace(/[\s-]/g, '');
+
+// calls save(code, cb) with fresh codes until it does not fail on the unique index
+var withUniqueCode = (length, save, done) => {
+    var attempt = (left) => {
+        save(randomCode(length), (err, saved) => {
+            if (err && err.code === 11000 && left > 1)
+                return attempt(left - 1);
+            done(err, saved);
+        });
+    };
+    attempt(ATTEMPTS);
+};
+
+// `count` distinct codes for inserting many documents at once. taken(codes, cb) answers
+// cb(err, takenCodes) with those already in use, which are replaced; the unique index
+// still catches a code taken in the meantime
+var uniqueCodes = (count, length, taken, done) => {
+    var result = [];
+    var attempt = (left) => {
+        var fresh = [];
+        while (result.length + fresh.length < count) {
+            var code = randomCode(length);
+            if (result.indexOf(code) === -1 && fresh.indexOf(code) === -1)
+                fresh.push(code);
+        }
+        taken(fresh, (err, clashing) => {
+            if (err)
+                return done(err);
+            fresh.forEach((code) => {
+                if (clashing.indexOf(code) === -1)
+                    result.push(code);
+            });
+            if (result.length === count)
+                return done(null, result);
+            if (left <= 1)
+                return done(new Error('no unused codes found'));
+            attempt(left - 1);
+        });
+    };
+    attempt(ATTEMPTS);
+};
+
+module.exports = {
+    randomCode: randomCode,
+    normalize: normalize,
+    withUniqueCode: withUniqueCode,
+    uniqueCodes: uniqueCodes
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+// errors every handler passes to next(); the error handler middleware turns them into
+// { error: { code, message, details } } responses with the matching status code
+
+class AppError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.details = details;
+    }
+}
+AppError.prototype.status = 500;
+AppError.prototype.code = 'internal';
+
+class ValidationError extends AppError {}
+ValidationError.prototype.status = 400;
+ValidationError.prototype.code = 'validation_failed';
+
+class AuthError extends AppError {}
+AuthError.prototype.status = 401;
+AuthError.prototype.code = 'unauthorized';
+
+// authenticated, but not allowed to do this
+class ForbiddenError extends AuthError {}
+ForbiddenError.prototype.status = 403;
+ForbiddenError.prototype.code = 'forbidden';
+
+class NotFoundError extends AppError {}
+NotFoundError.prototype.status = 404;
+NotFoundError.prototype.code = 'not_found';
+
+class ConflictError extends AppError {}
+ConflictError.prototype.status = 409;
+ConflictError.prototype.code = 'conflict';
+
+// carries the seconds until the client may retry, sent as Retry-After
+class RateLimitError extends AppError {
+    constructor(message, retryAfter, details) {
+        super(message, details);
+        this.retryAfter = retryAfter;
+    }
+}
+RateLimitError.prototype.status = 429;
+RateLimitError.prototype.code = 'rate_limited';
+
+class InternalError extends AppError {}
+
+// maps errors raised by mongoose, passport or body-parser onto the hierarchy
+var normalize = (err) => {
+    if (err instanceof AppError)
+        return err;
+    if (err && err.name === 'CastError')
+        return new ValidationError('invalid ' + err.path, [{ field: err.path, message: 'has an invalid value' }]);
+    if (err && err.name === 'ValidationError' && err.errors)
+        return new ValidationError('invalid document', Object.keys(err.errors).map((field) => ({
+            field: field,
+            message: err.errors[field].message
+        })));
+    if (err && err.code === 11000)
+        return new ConflictError('duplicate value');
+    if (err && err.name === 'AuthenticationError')
+        return err.status === 403 ? new ForbiddenError('forbidden') : new AuthError('authentication required');
+    // body-parser and other http-errors style errors carry their own 4xx status
+    if (err && err.expose && err.status >= 400 && err.status < 500)
+        return new ValidationError(err.message);
+    var internal = new InternalError('internal server error');
+    internal.cause = err;
+    return internal;
+};
+
+module.exports = {
+    AppError: AppError,
+    ValidationError: ValidationError,
+    AuthError: AuthError,
+    ForbiddenError: ForbiddenError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    RateLimitError: RateLimitError,
+    InternalError: InternalError,
+    normalize: normalize
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+var contentDisposition = require('content-disposition');
+
+var FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+// quotes a CSV field when needed; strings starting with a character spreadsheet
+// programs read as a formula (= + - @, and tab or carriage return) are escaped so
+// voter supplied text is not evaluated, numbers are written as they are so
+// negative ones stay numbers
+var csvField = (value) => {
+    var text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text))
+        text = "'" + text;
+    if (/[",\r\n]/.test(text))
+        text = '"' + text.replace(/"/g, '""') + '"';
+    return text;
+};
+
+var csvRow = (fields) => fields.map(csvField).join(',') + '\r\n';
+
+// rows of the tallies CSV, header first: the option scores, or for open questions
+// the summary in results, as app/utils/answers.js computes it
+var tallyRows = (poll, results) => {
+    if (!results)
+        return [['option', 'score']].concat(poll.options.map((opt) => [opt.option, opt.score]));
+    if (results.type === 'numeric')
+        return [['statistic', 'value']]
+            .concat(['count', 'min', 'max', 'mean', 'median'].filter((name) => results[name] !== undefined).map((name) => [name, results[name]]))
+            .concat(results.histogram.map((bin) => ['from ' + bin.from + ' to ' + bin.to, bin.count]));
+    return [['word', 'count']].concat(results.words.map((entry) => [entry.word, entry.count]));
+};
+
+// file name for a poll export, based on the poll name
+var fileName = (poll, part, format) => {
+    var base = (poll.name || 'poll').replace(/[\/\\?%*:|"<>\x00-\x1f]+/g, ' ').trim() || 'poll';
+    return base + '-' + part + '.' + format;
+};
+
+// sets the download headers for an export
+var startDownload = (res, poll, part, format) => {
+    res.status(200);
+    res.setHeader('Content-Type', FORMATS[format]);
+    res.setHeader('Content-Disposition', contentDisposition(fileName(poll, part, format)));
+};
+
+// pipes a mongoose query cursor into the response, one chunk per document
+var streamCursor = (cursor, res, toChunk, done) => {
+    var first = true;
+    cursor.on('data', (doc) => {
+        if (!res.write(toChunk(doc, first))) {
+            cursor.pause();
+            res.once('drain', () => cursor.resume());
+        }
+        first = false;
+    });
+    cursor.on('error', (err) => done(err));
+    cursor.on('end', () => done());
+};
+
+module.exports = {
+    FORMATS: FORMATS,
+    csvRow: csvRow,
+    tallyRows: tallyRows,
+    startDownload: startDownload,
+    streamCursor: streamCursor
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+// absolute links to the app, for emails and share links
+var appUrl = () => (process.env.APP_URL || 'http://localhost:' + (process.env.PORT || 8080)).replace(/\/$/, '');
+
+// what students open or scan to reach a poll
+var pollLink = (joinCode) => appUrl() + '/p/' + encodeURIComponent(joinCode);
+
+module.exports = {
+    appUrl: appUrl,
+    pollLink: pollLink
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+var User = require('../models/users');
+var clock = require('./clock');
+
+// progressive lockout after repeated wrong passwords: from the THRESHOLD-th failure on
+// the account is locked for BASE_MS, doubling with every further failure up to MAX_MS
+
+var THRESHOLD = 5;
+var BASE_MS = 60 * 1000;
+var MAX_MS = 60 * 60 * 1000;
+
+var lockDuration = (failures) => failures < THRESHOLD ? 0 : Math.min(BASE_MS * Math.pow(2, failures - THRESHOLD), MAX_MS);
+
+// seconds until the account may try again, 0 when it is not locked
+var secondsLeft = (user) => {
+    var left = user.lockedUntil ? user.lockedUntil.getTime() - clock.now() : 0;
+    return left > 0 ? Math.ceil(left / 1000) : 0;
+};
+
+// counts a wrong password, done(err, secondsLocked)
+var recordFailure = (user, done) => {
+    User.findByIdAndUpdate(user._id, { $inc: { failedLogins: 1 } }, { new: true }, (err, updated) => {
+        if (err)
+            return done(err);
+        var lockMs = lockDuration(updated.failedLogins);
+        if (!lockMs)
+            return done(null, 0);
+        User.update({ _id: user._id }, { $set: { lockedUntil: new Date(clock.now() + lockMs) } }, (err) => {
+            done(err, Math.ceil(lockMs / 1000));
+        });
+    });
+};
+
+var recordSuccess = (user, done) => {
+    if (!user.failedLogins && !user.lockedUntil)
+        return done();
+    User.update({ _id: user._id }, { $set: { failedLogins: 0 }, $unset: { lockedUntil: '' } }, done);
+};
+
+module.exports = {
+    THRESHOLD: THRESHOLD,
+    lockDuration: lockDuration,
+    secondsLeft: secondsLeft,
+    recordFailure: recordFailure,
+    recordSuccess: recordSuccess
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+var crypto = require('crypto');
+
+// stored hashes look like $scrypt$v=1$N=16384,r=8,p=1$<salt>$<hash> (base64 salt and hash).
+// Accounts created before this format keep a hex sha512 of salt + password in
+// hashed_password and the salt in its own field; they are rehashed on their next login
+
+var VERSION = 1;
+var PARAMS = { N: 16384, r: 8, p: 1 };
+var KEY_LENGTH = 64;
+var SALT_BYTES = 16;
+
+var format = (params, salt, key) =>
+    '$scrypt$v=' + VERSION + '$N=' + params.N + ',r=' + params.r + ',p=' + params.p +
+    '$' + salt.toString('base64') + '$' + key.toString('base64');
+
+var parse = (stored) => {
+    var match = /^\$scrypt\$v=(\d+)\$N=(\d+),r=(\d+),p=(\d+)\$([^$]+)\$([^$]+)$/.exec(stored || '');
+    if (!match)
+        return null;
+    return {
+        version: Number(match[1]),
+        params: { N: Number(match[2]), r: Number(match[3]), p: Number(match[4]) },
+        salt: Buffer.from(match[5], 'base64'),
+        key: Buffer.from(match[6], 'base64')
+    };
+};
+
+var derive = (password, salt, params, done) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, { N: params.N, r: params.r, p: params.p, maxmem: 256 * params.N * params.r }, done);
+};
+
+var sameBytes = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// hashes a new password, done(err, stored)
+var hash = (password, done) => {
+    var salt = crypto.randomBytes(SALT_BYTES);
+    derive(password, salt, PARAMS, (err, key) => {
+        if (err)
+            return done(err);
+        done(null, format(PARAMS, salt, key));
+    });
+};
+
+// checks a password against a user document, done(err, valid, needsRehash)
+var verify = (password, user, done) => {
+    var stored = parse(user.hashed_password);
+    if (!stored) {
+        if (!user.salt || !user.hashed_password)
+            return done(null, false, false);
+        var legacy = crypto.createHash('sha512').update(user.salt + password).digest();
+        var valid = sameBytes(legacy, Buffer.from(user.hashed_password, 'hex'));
+        return done(null, valid, valid);
+    }
+    derive(password, stored.salt, stored.params, (err, key) => {
+        if (err)
+            return done(err);
+        var valid = sameBytes(key, stored.key);
+        var outdated = stored.version !== VERSION || stored.params.N !== PARAMS.N ||
+            stored.params.r !== PARAMS.r || stored.params.p !== PARAMS.p;
+        done(null, valid, valid && outdated);
+    });
+};
+
+// the fields to $set / $unset on a user document for a freshly hashed password
+var userUpdate = (stored) => ({
+    $set: { hashed_password: stored },
+    $unset: { salt: '' }
+});
+
+module.exports = {
+    hash: hash,
+    verify: verify,
+    userUpdate: userUpdate
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+var errors = require('./errors');
+
+// turns an uploaded file of polls into rows shaped like the body of /auth/new_poll.
+// JSON files hold a list of such objects, or { polls: [...] }. CSV files have a header
+// row naming the columns: name, question_type, ballot_type, max_choices, privacy,
+// allow_vote_changes, results_visibility, correct_options (a list such as [0, 2]),
+// points, feedback, max_length, min_value, max_value, integer_only, moderated,
+// weights (a list such as [1, 0.5, 0]), opens_at, closes_at, course_id, and one column
+// per option headed "option", "option 1", "option2" and so on; empty option cells
+// are skipped
+
+var MAX_ROWS = 200;
+
+var COLUMNS = ['name', 'question_type', 'ballot_type', 'max_choices', 'privacy', 'allow_vote_changes',
+    'results_visibility', 'correct_options', 'points', 'feedback', 'max_length', 'min_value', 'max_value',
+    'integer_only', 'moderated', 'weights', 'opens_at', 'closes_at', 'course_id'];
+var OPTION_COLUMN = /^option\s*\d*$/;
+
+// RFC 4180 records, fields may be quoted and contain commas, quotes and line breaks;
+// null when a quoted field is never closed
+var parseCsv = (text) => {
+    var records = [];
+    var record = [];
+    var field = '';
+    var quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === ',') {
+            record.push(field);
+            field = '';
+        } else if (c === '\r' || c === '\n') {
+            if (c === '\r' && text[i + 1] === '\n')
+                i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (quoted)
+        return null;
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    // blank lines are not rows
+    return records.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+var csvRows = (text) => {
+    var records = parseCsv(text);
+    if (!records)
+        return { error: new errors.ValidationError('unterminated quoted field in the CSV file') };
+    if (!records.length)
+        return { rows: [] };
+    var header = records.shift().map((name) => name.trim().toLowerCase());
+    var unknown = header.filter((name) => COLUMNS.indexOf(name) === -1 && !OPTION_COLUMN.test(name));
+    if (unknown.length)
+        return { error: new errors.ValidationError('unknown CSV columns: ' + unknown.join(', '),
+            unknown.map((name) => ({ field: name, message: 'is not a poll column' }))) };
+    return { rows: records.map((record) => {
+        var row = {};
+        header.forEach((name, i) => {
+            var value = (record[i] || '').trim();
+            if (OPTION_COLUMN.test(name)) {
+                // open questions leave every option cell empty
+                if (value)
+                    row.options = (row.options || []).concat(value);
+            } else if (value) {
+                row[name] = value;
+            }
+        });
+        return row;
+    }) };
+};
+
+var jsonRows = (body) => {
+    var list = Array.isArray(body) ? body : body && body.polls;
+    if (!Array.isArray(list))
+        return { error: new errors.ValidationError('the file must hold a list of polls') };
+    // rows are validated one by one, anything but an object fails on its own
+    return { rows: list.map((row) => row && typeof row === 'object' && !Array.isArray(row) ? Object.assign({}, row) : {}) };
+};
+
+// rows of the request body as parsed by the JSON or the text body parser,
+// returns { rows } or { error }
+var rows = (req) => {
+    var parsed = typeof req.body === 'string' ? csvRows(req.body) : jsonRows(req.body);
+    if (parsed.error)
+        return parsed;
+    if (!parsed.rows.length)
+        return { error: new errors.ValidationError('the file holds no polls') };
+    if (parsed.rows.length > MAX_ROWS)
+        return { error: new errors.ValidationError('at most ' + MAX_ROWS + ' polls can be imported at once') };
+    return parsed;
+};
+
+module.exports = {
+    MAX_ROWS: MAX_ROWS,
+    parseCsv: parseCsv,
+    rows: rows
+};
@@ -0,0 +1,352 @@
+'use strict';
+
+// QR code encoder for share links, rendered as SVG so no external service sees them.
+// Only what links need: byte mode, error correction level M, versions 1 to 10
+// (up to 213 bytes). Follows ISO/IEC 18004; the layout code mirrors the
+// well known reference encoder by Project Nayuki
+
+var MAX_VERSION = 10;
+// level M, indexed by version
+var ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+var BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+// format bits of level M
+var ECC_FORMAT = 0;
+var QUIET_ZONE = 4;
+
+// multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+var gfMultiply = (x, y) => {
+    var z = 0;
+    for (var i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+// Reed-Solomon generator polynomial of the degree, highest coefficient left out
+var rsDivisor = (degree) => {
+    var result = [];
+    for (var i = 0; i < degree - 1; i++)
+        result.push(0);
+    result.push(1);
+    var root = 1;
+    for (i = 0; i < degree; i++) {
+        for (var j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length)
+                result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+var rsRemainder = (data, divisor) => {
+    var result = divisor.map(() => 0);
+    data.forEach((b) => {
+        var factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= gfMultiply(coef, factor);
+        });
+    });
+    return result;
+};
+
+// modules left for data and error correction once the function patterns are drawn
+var rawDataModules = (version) => {
+    var result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        var numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7)
+            result -= 36;
+    }
+    return result;
+};
+
+var dataCodewords = (version) => Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[version] * BLOCKS[version];
+
+var countBits = (version) => version < 10 ? 8 : 16;
+
+var alignmentPositions = (version) => {
+    if (version === 1)
+        return [];
+    var numAlign = Math.floor(version / 7) + 2;
+    var step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    var result = [6];
+    for (var pos = version * 4 + 10; result.length < numAlign; pos -= step)
+        result.splice(1, 0, pos);
+    return result;
+};
+
+// data codewords: byte mode header, the bytes, terminator and padding
+var encodeData = (bytes, version) => {
+    var bits = [];
+    var append = (value, length) => {
+        for (var i = length - 1; i >= 0; i--)
+            bits.push((value >>> i) & 1);
+    };
+    var capacity = dataCodewords(version) * 8;
+    append(0x4, 4);
+    append(bytes.length, countBits(version));
+    bytes.forEach((b) => append(b, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (var pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11)
+        append(pad, 8);
+    var codewords = [];
+    for (var i = 0; i < bits.length; i += 8)
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return codewords;
+};
+
+// splits the data into blocks, appends their error correction and interleaves them
+var addErrorCorrection = (data, version) => {
+    var numBlocks = BLOCKS[version];
+    var eccLength = ECC_PER_BLOCK[version];
+    var rawCodewords = Math.floor(rawDataModules(version) / 8);
+    var numShort = numBlocks - rawCodewords % numBlocks;
+    var shortLength = Math.floor(rawCodewords / numBlocks);
+    var divisor = rsDivisor(eccLength);
+    var blocks = [];
+    for (var i = 0, k = 0; i < numBlocks; i++) {
+        var dat = data.slice(k, k + shortLength - eccLength + (i < numShort ? 0 : 1));
+        k += dat.length;
+        var ecc = rsRemainder(dat, divisor);
+        // short blocks get a placeholder so every block has the same length
+        if (i < numShort)
+            dat.push(null);
+        blocks.push(dat.concat(ecc));
+    }
+    var result = [];
+    for (i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block) => {
+            if (block[i] !== null)
+                result.push(block[i]);
+        });
+    }
+    return result;
+};
+
+function Matrix(version) {
+    var size = version * 4 + 17;
+    var modules = [];
+    var isFunction = [];
+    for (var y = 0; y < size; y++) {
+        modules.push(new Array(size).fill(false));
+        isFunction.push(new Array(size).fill(false));
+    }
+
+    this.size = size;
+    this.modules = modules;
+
+    var setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    var finder = (x, y) => {
+        for (var dy = -4; dy <= 4; dy++) {
+            for (var dx = -4; dx <= 4; dx++) {
+                var dist = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size)
+                    setFunction(x + dx, y + dy, dist !== 2 && dist !== 4);
+            }
+        }
+    };
+
+    var alignment = (x, y) => {
+        for (var dy = -2; dy <= 2; dy++) {
+            for (var dx = -2; dx <= 2; dx++)
+                setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    };
+
+    this.drawFormat = (mask) => {
+        var data = (ECC_FORMAT << 3) | mask;
+        var rem = data;
+        for (var i = 0; i < 10; i++)
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        var bits = ((data << 10) | rem) ^ 0x5412;
+        var bit = (i) => ((bits >>> i) & 1) !== 0;
+        for (i = 0; i <= 5; i++)
+            setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (i = 9; i < 15; i++)
+            setFunction(14 - i, 8, bit(i));
+        for (i = 0; i < 8; i++)
+            setFunction(size - 1 - i, 8, bit(i));
+        for (i = 8; i < 15; i++)
+            setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true);
+    };
+
+    var drawVersion = () => {
+        if (version < 7)
+            return;
+        var rem = version;
+        for (var i = 0; i < 12; i++)
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        var bits = (version << 12) | rem;
+        for (i = 0; i < 18; i++) {
+            var dark = ((bits >>> i) & 1) !== 0;
+            var a = size - 11 + i % 3;
+            var b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    };
+
+    this.drawFunctionPatterns = () => {
+        for (var i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+        finder(3, 3);
+        finder(size - 4, 3);
+        finder(3, size - 4);
+        var positions = alignmentPositions(version);
+        var last = positions.length - 1;
+        positions.forEach((px, i) => {
+            positions.forEach((py, j) => {
+                // the corners with finder patterns have no alignment pattern
+                if (!(i === 0 && j === 0) && !(i === 0 && j === last) && !(i === last && j === 0))
+                    alignment(px, py);
+            });
+        });
+        // reserved now, drawn for real once the mask is known
+        this.drawFormat(0);
+        drawVersion();
+    };
+
+    // places the codewords in the zigzag order, two columns at a time from the right
+    this.drawCodewords = (codewords) => {
+        var i = 0;
+        for (var right = size - 1; right >= 1; right -= 2) {
+            if (right === 6)
+                right = 5;
+            for (var vert = 0; vert < size; vert++) {
+                for (var j = 0; j < 2; j++) {
+                    var x = right - j;
+                    var upward = ((right + 1) & 2) === 0;
+                    var y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    };
+
+    // applying a mask twice undoes it
+    this.applyMask = (mask) => {
+        for (var y = 0; y < size; y++) {
+            for (var x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y))
+                    modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+}
+
+var MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+var FINDER_LIKE = ['10111010000', '00001011101'];
+
+// penalty score of the standard, the mask with the lowest one is used
+var penalty = (modules) => {
+    var size = modules.length;
+    var result = 0;
+    var lines = [];
+    for (var i = 0; i < size; i++) {
+        lines.push(modules[i].map((m) => m ? '1' : '0').join(''));
+        lines.push(modules.map((row) => row[i] ? '1' : '0').join(''));
+    }
+    lines.forEach((line) => {
+        (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => {
+            result += 3 + run.length - 5;
+        });
+        FINDER_LIKE.forEach((pattern) => {
+            for (var at = line.indexOf(pattern); at !== -1; at = line.indexOf(pattern, at + 1))
+                result += 40;
+        });
+    });
+    var dark = 0;
+    for (var y = 0; y < size; y++) {
+        for (var x = 0; x < size; x++) {
+            if (modules[y][x])
+                dark++;
+            if (x < size - 1 && y < size - 1 && modules[y][x] === modules[y][x + 1] &&
+                modules[y][x] === modules[y + 1][x] && modules[y][x] === modules[y + 1][x + 1])
+                result += 3;
+        }
+    }
+    var total = size * size;
+    result += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return result;
+};
+
+// rows of booleans, true for dark modules, without the quiet zone
+var encode = (text) => {
+    var bytes = Array.from(Buffer.from(String(text), 'utf8'));
+    var version = 1;
+    while (version <= MAX_VERSION && 4 + countBits(version) + bytes.length * 8 > dataCodewords(version) * 8)
+        version++;
+    if (version > MAX_VERSION)
+        throw new Error('text too long for a QR code');
+
+    var matrix = new Matrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+    var best = 0;
+    var bestPenalty = Infinity;
+    MASKS.forEach((m, mask) => {
+        matrix.applyMask(mask);
+        matrix.drawFormat(mask);
+        var score = penalty(matrix.modules);
+        if (score < bestPenalty) {
+            best = mask;
+            bestPenalty = score;
+        }
+        matrix.applyMask(mask);
+    });
+    matrix.applyMask(best);
+    matrix.drawFormat(best);
+    return matrix.modules;
+};
+
+// SVG image of the QR code, one unit per module plus the quiet zone around it
+var toSvg = (text) => {
+    var modules = encode(text);
+    var size = modules.length + QUIET_ZONE * 2;
+    var path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark)
+                path += 'M' + (x + QUIET_ZONE) + ',' + (y + QUIET_ZONE) + 'h1v1h-1z';
+        });
+    });
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + size + ' ' + size + '" shape-rendering="crispEdges">' +
+        '<rect width="' + size + '" height="' + size + '" fill="#fff"/>' +
+        '<path d="' + path + '" fill="#000"/></svg>\n';
+};
+
+module.exports = {
+    encode: encode,
+    toSvg: toSvg
+};
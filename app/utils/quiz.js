@@ -0,0 +1,55 @@
+'use strict';
+
+// grading of quiz polls. A single choice ballot is right when it picks one of the
+// correct options, a multiple choice ballot when it picks exactly the correct ones
+
+var FEEDBACK = ['immediate', 'deferred'];
+
+var grade = (poll, choices) => {
+    var correct = poll.quiz.correct;
+    var right;
+    if (poll.ballotType === 'multiple')
+        right = choices.length === correct.length && choices.every((choice) => correct.indexOf(choice) !== -1);
+    else
+        right = choices.length === 1 && correct.indexOf(choices[0]) !== -1;
+    return {
+        correct: right,
+        points: right ? poll.quiz.points : 0,
+        correctOptions: correct.slice()
+    };
+};
+
+var maxPoints = (polls) => polls.reduce((sum, poll) => sum + poll.quiz.points, 0);
+
+// totals per voter over the ballots of a series' polls, best first; voters with the
+// same points and correct answers share a rank
+var scoreboard = (polls, ballots) => {
+    var byId = {};
+    polls.forEach((poll) => { byId[poll.id] = poll; });
+    var totals = {};
+    ballots.forEach((ballot) => {
+        var poll = byId[ballot.poll];
+        if (!poll || !ballot.voter)
+            return;
+        var total = totals[ballot.voter] || (totals[ballot.voter] = { user: ballot.voter, points: 0, correct: 0, answered: 0 });
+        var result = grade(poll, ballot.choices);
+        total.answered++;
+        total.points += result.points;
+        if (result.correct)
+            total.correct++;
+    });
+    var list = Object.keys(totals).map((user) => totals[user]);
+    list.sort((a, b) => b.points - a.points || b.correct - a.correct);
+    list.forEach((total, i) => {
+        var previous = list[i - 1];
+        total.rank = previous && previous.points === total.points && previous.correct === total.correct ? previous.rank : i + 1;
+    });
+    return list;
+};
+
+module.exports = {
+    FEEDBACK: FEEDBACK,
+    grade: grade,
+    maxPoints: maxPoints,
+    scoreboard: scoreboard
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var secret = () => process.env.RECEIPT_KEY || process.env.JWT_KEY;
+
+// key stored in Poll.voters for a user: the user id itself on identified polls,
+// a keyed one-way hash on anonymous polls so double votes can still be detected
+var voterKey = (poll, userId) => {
+    if (poll.privacy !== 'anonymous')
+        return String(userId);
+    return crypto.createHmac('sha256', secret()).update(poll.id + ':' + userId).digest('hex');
+};
+
+// $push of a new key to Poll.voters. Receipts are kept sorted, in the order they were
+// pushed they would line up with the order of the ballots
+var pushKey = (poll, key) => poll.privacy === 'anonymous' ? { $each: [key], $sort: 1 } : key;
+
+// _id of an anonymous ballot. An ObjectId starts with the time it was made and ends with
+// a counter, which would give away the order ballots were cast in; these have a zero
+// timestamp and random bytes, or bytes derived from `seed` when a ballot is re-keyed
+var ballotId = (seed) => {
+    var bytes = seed === undefined
+        ? crypto.randomBytes(8)
+        : crypto.createHmac('sha256', secret()).update('ballot:' + seed).digest();
+    return '00000000' + bytes.toString('hex').slice(0, 16);
+};
+
+// whether the user's vote is recorded on the poll
+var hasVoted = (poll, userId) => !!userId && poll.voters.indexOf(voterKey(poll, userId)) !== -1;
+
+module.exports = {
+    voterKey: voterKey,
+    pushKey: pushKey,
+    ballotId: ballotId,
+    hasVoted: hasVoted
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+var Ballots = require('../models/ballots');
+var ballots = require('./ballots');
+var answers = require('./answers');
+
+// plain poll object with its computed results, without the voter list: done(err, result)
+var withResults = (poll, done) => {
+    var finish = (results) => {
+        var result = poll.toObject();
+        result.results = results;
+        delete result.voters;
+        delete result.history;
+        done(null, result);
+    };
+    // open questions are summed up from all of their answers, newest first; anonymous
+    // ballots have random ids, so theirs come in no particular order
+    if (answers.isOpen(poll))
+        return Ballots.find({ poll: poll.id }, { text: 1, value: 1, moderation: 1 }).sort({ _id: -1 }).exec((err, list) => {
+            if (err)
+                return done(err);
+            finish(answers.computeResults(poll, list));
+        });
+    if (poll.ballotType !== 'ranked')
+        return finish(ballots.computeResults(poll));
+    // the runoff needs every full preference order
+    Ballots.find({ poll: poll.id }, { choices: 1 }, (err, list) => {
+        if (err)
+            return done(err);
+        finish(ballots.computeResults(poll, list.map((b) => b.choices)));
+    });
+};
+
+// the poll as seen by someone its resultsVisibility keeps the tallies from
+var hiddenResults = (poll) => {
+    var result = poll.toObject();
+    result.options = result.options.map((opt) => ({ _id: opt._id, option: opt.option }));
+    result.results = { hidden: true, voters: poll.voters.length };
+    delete result.voters;
+    delete result.history;
+    return result;
+};
+
+module.exports = {
+    withResults: withResults,
+    hiddenResults: hiddenResults
+};
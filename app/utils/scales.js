@@ -0,0 +1,93 @@
+'use strict';
+
+// scale polls, e.g. 1-5 Likert questions: each point of the scale is one option whose
+// weight is its value, so the option tallies are the distribution of the answers.
+// Choice polls may weight their options too, their results then add up the weights
+
+var DEFAULT_MIN = 1;
+var DEFAULT_MAX = 5;
+
+// two-sided 95% critical values of Student's t by degrees of freedom; larger samples
+// use the highest tabled df not above theirs, and the normal value past the table
+var T_95 = {
+    1: 12.706, 2: 4.303, 3: 3.182, 4: 2.776, 5: 2.571, 6: 2.447, 7: 2.365, 8: 2.306,
+    9: 2.262, 10: 2.228, 11: 2.201, 12: 2.179, 13: 2.160, 14: 2.145, 15: 2.131,
+    16: 2.120, 17: 2.110, 18: 2.101, 19: 2.093, 20: 2.086, 21: 2.080, 22: 2.074,
+    23: 2.069, 24: 2.064, 25: 2.060, 26: 2.056, 27: 2.052, 28: 2.048, 29: 2.045,
+    30: 2.042, 40: 2.021, 60: 2.000, 120: 1.980
+};
+var Z_95 = 1.960;
+
+var tCritical = (df) => {
+    if (df > 120)
+        return Z_95;
+    while (!T_95[df])
+        df--;
+    return T_95[df];
+};
+
+var isWeighted = (poll) => poll.options.some((opt) => typeof opt.weight === 'number');
+
+// options of a new scale from min to max; labels, when given, name the points in order
+var scaleOptions = (min, max, labels, weights) => {
+    var options = [];
+    for (var value = min; value <= max; value++) {
+        var i = value - min;
+        options.push({
+            option: labels ? labels[i] : String(value),
+            score: 0,
+            weight: weights ? weights[i] : value
+        });
+    }
+    return options;
+};
+
+// turns the value answered on a scale into its option index, returns { choices } or { error }
+var parseAnswer = (poll, raw) => {
+    var rules = poll.answerRules || {};
+    var value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < rules.min || value > rules.max)
+        return { error: 'answer must be a whole number from ' + rules.min + ' to ' + rules.max };
+    return { choices: [value - rules.min] };
+};
+
+// mean, sample standard deviation and 95% confidence interval of the mean of
+// weighted counts; the spread needs at least two answers
+var describe = (values) => {
+    var n = values.reduce((sum, v) => sum + v.count, 0);
+    if (!n)
+        return { count: 0, mean: null, sd: null, ci: null };
+    var mean = values.reduce((sum, v) => sum + v.weight * v.count, 0) / n;
+    if (n < 2)
+        return { count: n, mean: mean, sd: null, ci: null };
+    var squares = values.reduce((sum, v) => sum + v.count * Math.pow(v.weight - mean, 2), 0);
+    var sd = Math.sqrt(squares / (n - 1));
+    var margin = tCritical(n - 1) * sd / Math.sqrt(n);
+    return { count: n, mean: mean, sd: sd, ci: { level: 0.95, low: mean - margin, high: mean + margin } };
+};
+
+// results of a scale poll: how many answered each point and the statistics over them
+var summary = (poll) => {
+    var distribution = poll.options.map((opt) => ({ label: opt.option, weight: opt.weight, count: opt.score }));
+    return Object.assign({ distribution: distribution }, describe(distribution));
+};
+
+// weighted score of a choice poll: the sum of the weights of all choices made, and
+// that sum per voter; options without a weight count for nothing
+var weightedScore = (poll) => {
+    var total = poll.options.reduce((sum, opt) => sum + (opt.weight || 0) * opt.score, 0);
+    var voters = poll.voters.length;
+    return { total: total, mean: voters ? total / voters : null };
+};
+
+module.exports = {
+    DEFAULT_MIN: DEFAULT_MIN,
+    DEFAULT_MAX: DEFAULT_MAX,
+    tCritical: tCritical,
+    isWeighted: isWeighted,
+    scaleOptions: scaleOptions,
+    parseAnswer: parseAnswer,
+    describe: describe,
+    summary: summary,
+    weightedScore: weightedScore
+};
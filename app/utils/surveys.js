@@ -0,0 +1,106 @@
+'use strict';
+
+var votes = require('./votes');
+
+// surveys ask several polls as the questions of one questionnaire: sections of
+// required and optional questions, and branches that skip sections depending on
+// earlier answers. A submission is checked as a whole against the route its own
+// answers take through the sections
+
+// sections of a survey, including surveys made before sections existed
+var sectionsOf = (survey) => {
+    if (survey.sections && survey.sections.length)
+        return survey.sections;
+    return [{
+        questions: survey.polls.map((poll) => ({ poll: poll, required: true })),
+        branches: [],
+        reached: survey.responses
+    }];
+};
+
+// checks the sections of a new survey, as sent to /auth/surveys, against its polls;
+// returns { sections } shaped for the Survey model or { error: { field, message } }
+var checkSections = (input, pollsById) => {
+    var asked = [];
+    var sections = [];
+    for (var i = 0; i < input.length; i++) {
+        var field = 'sections.' + i;
+        var questions = [];
+        for (var q = 0; q < input[i].questions.length; q++) {
+            var question = input[i].questions[q];
+            if (asked.indexOf(question.poll_id) !== -1)
+                return { error: { field: field + '.questions.' + q, message: 'asks a poll that is already a question of this survey' } };
+            asked.push(question.poll_id);
+            questions.push({ poll: question.poll_id, required: question.required !== false });
+        }
+        var branches = [];
+        var list = input[i].branches || [];
+        for (var b = 0; b < list.length; b++) {
+            var branch = checkBranch(list[b], pollsById[list[b].poll_id], asked, i, input.length);
+            if (branch.error)
+                return { error: { field: field + '.branches.' + b, message: branch.error } };
+            branches.push(branch);
+        }
+        sections.push({ title: input[i].title, questions: questions, branches: branches });
+    }
+    return { sections: sections };
+};
+
+// returns the branch for the model or { error }
+var checkBranch = (branch, poll, asked, index, count) => {
+    if (asked.indexOf(branch.poll_id) === -1)
+        return { error: 'must look at a question of this or an earlier section' };
+    if (branch.goto !== undefined && (branch.goto <= index || branch.goto >= count))
+        return { error: 'goto must be a later section' };
+    var hasOptions = !!branch.options;
+    var hasRange = branch.min_value !== undefined || branch.max_value !== undefined;
+    if (hasOptions === hasRange)
+        return { error: 'must match either options or a min_value-max_value range' };
+    if (poll.questionType === 'text')
+        return { error: 'cannot look at the answers to text questions' };
+    if (hasOptions && poll.questionType !== 'choice')
+        return { error: 'options only match choice questions' };
+    if (hasOptions && branch.options.some((i) => i >= poll.options.length))
+        return { error: 'options must be indexes of the options of its poll' };
+    if (hasRange && poll.questionType === 'choice')
+        return { error: 'a range only matches numeric and scale questions' };
+    return { poll: branch.poll_id, options: branch.options, min: branch.min_value, max: branch.max_value, goto: branch.goto };
+};
+
+// checks one answer against its poll: option indexes for choice questions, the
+// answer itself otherwise; returns a ballot for votes.recordVote or { error }
+var parseAnswer = (poll, raw) => votes.parseVote(poll, poll.questionType === 'choice' ? { option: raw } : { answer: raw });
+
+var matches = (branch, poll, ballot) => {
+    if (!ballot)
+        return false;
+    if (branch.options && branch.options.length)
+        return ballot.choices.some((i) => branch.options.indexOf(i) !== -1);
+    var value = poll.questionType === 'scale' ? poll.answerRules.min + ballot.choices[0] : ballot.value;
+    return (typeof branch.min !== 'number' || value >= branch.min) && (typeof branch.max !== 'number' || value <= branch.max);
+};
+
+// indexes of the sections a respondent goes through given their ballots by poll id;
+// branches only jump forward, so the route always ends
+var route = (sections, pollsById, ballots) => {
+    var visited = [];
+    var i = 0;
+    while (i < sections.length) {
+        visited.push(i);
+        var branch = sections[i].branches.filter((b) => matches(b, pollsById[b.poll], ballots[b.poll]))[0];
+        if (!branch)
+            i++;
+        else if (typeof branch.goto !== 'number')
+            break;
+        else
+            i = branch.goto;
+    }
+    return visited;
+};
+
+module.exports = {
+    sectionsOf: sectionsOf,
+    checkSections: checkSections,
+    parseAnswer: parseAnswer,
+    route: route
+};
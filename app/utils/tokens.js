@@ -0,0 +1,147 @@
+'use strict';
+
+var crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+var Users = require('../models/users');
+var RefreshTokens = require('../models/refreshTokens');
+var errors = require('./errors');
+
+// access tokens are short lived JWTs carrying the user's tokenVersion, bumping the
+// version logs the user out everywhere; refresh tokens are opaque and stored hashed
+
+var ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+var REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+var sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+var signAccess = (user) => jwt.sign(
+    { sub: user.id, ver: user.tokenVersion || 0 },
+    process.env.JWT_KEY,
+    { expiresIn: ACCESS_TTL }
+);
+
+// stores a new refresh token of the family and answers with the token pair
+var createPair = (user, family, done) => {
+    var refreshToken = crypto.randomBytes(48).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    RefreshTokens.create({
+        user: user.id,
+        family: family,
+        tokenHash: sha256(refreshToken),
+        expiresAt: new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }, (err) => {
+        if (err)
+            return done(err);
+        var access = signAccess(user);
+        done(null, {
+            token: access,
+            refresh_token: refreshToken,
+            expires_in: jwt.decode(access).exp - Math.floor(Date.now() / 1000)
+        });
+    });
+};
+
+// starts a new token family for a user who just proved who they are
+var issueSession = (userId, done) => {
+    Users.findById(userId, { tokenVersion: 1 }, (err, user) => {
+        if (err)
+            return done(err);
+        if (!user)
+            return done(new errors.AuthError('user no longer exists'));
+        createPair(user, crypto.randomBytes(16).toString('hex'), done);
+    });
+};
+
+var revokeFamily = (family, done) => {
+    RefreshTokens.update({ family: family, revokedAt: null }, { $set: { revokedAt: new Date() } }, { multi: true }, done);
+};
+
+// trades a refresh token for a new pair; a token that was already used means it
+// leaked, so the whole family is revoked and the holder has to log in again
+var rotate = (refreshToken, done) => {
+    var now = new Date();
+    RefreshTokens.findOneAndUpdate(
+        { tokenHash: sha256(refreshToken), revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } },
+        (err, current) => {
+            if (err)
+                return done(err);
+            if (current)
+                return Users.findById(current.user, { tokenVersion: 1 }, (err, user) => {
+                    if (err)
+                        return done(err);
+                    if (!user)
+                        return done(new errors.AuthError('user no longer exists'));
+                    createPair(user, current.family, done);
+                });
+            RefreshTokens.findOne({ tokenHash: sha256(refreshToken) }, (err, used) => {
+                if (err)
+                    return done(err);
+                if (!used || !used.revokedAt)
+                    return done(new errors.AuthError('invalid or expired refresh token'));
+                revokeFamily(used.family, (err) => {
+                    if (err)
+                        return done(err);
+                    done(new errors.AuthError('refresh token was already used, log in again'));
+                });
+            });
+        }
+    );
+};
+
+// logout: revokes the family of the given refresh token
+var revoke = (refreshToken, done) => {
+    RefreshTokens.findOne({ tokenHash: sha256(refreshToken) }, (err, token) => {
+        if (err)
+            return done(err);
+        if (!token)
+            return done(new errors.AuthError('invalid refresh token'));
+        revokeFamily(token.family, done);
+    });
+};
+
+// logs the user out on every device: outstanding access tokens stop matching the
+// user's tokenVersion and every refresh token is revoked
+var revokeAll = (userId, done) => {
+    Users.update({ _id: userId }, { $inc: { tokenVersion: 1 } }, (err) => {
+        if (err)
+            return done(err);
+        RefreshTokens.update({ user: String(userId), revokedAt: null }, { $set: { revokedAt: new Date() } }, { multi: true }, done);
+    });
+};
+
+// the user behind a verified access token payload, done(err, user) with user false
+// for tokens from before expiry was introduced (bare user id strings) or revoked ones
+var accessUser = (payload, done) => {
+    if (typeof payload !== 'object' || !payload.sub)
+        return done(null, false);
+    Users.findById(payload.sub, (err, user) => {
+        if (err)
+            return done(err);
+        // a bumped tokenVersion revokes every access token issued before it
+        if (!user || (user.tokenVersion || 0) !== payload.ver)
+            return done(null, false);
+        done(null, user);
+    });
+};
+
+// checks an access token outside of passport, e.g. for socket connections
+var verifyAccess = (token, done) => {
+    jwt.verify(token || '', process.env.JWT_KEY, (err, payload) => {
+        if (err)
+            return done(null, false);
+        accessUser(payload, done);
+    });
+};
+
+// what app/middleware/authorize.js reads from req.authInfo
+var authInfo = (user) => ({ role: user.role, emailVerified: !!user.emailVerified });
+
+module.exports = {
+    accessUser: accessUser,
+    verifyAccess: verifyAccess,
+    authInfo: authInfo,
+    issueSession: issueSession,
+    rotate: rotate,
+    revoke: revoke,
+    revokeAll: revokeAll
+};
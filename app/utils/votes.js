@@ -0,0 +1,148 @@
+'use strict';
+
+var Polls = require('../models/polls');
+var Ballots = require('../models/ballots');
+var ballots = require('./ballots');
+var answers = require('./answers');
+var scales = require('./scales');
+var receipts = require('./receipts');
+var errors = require('./errors');
+
+// checks the option or answer field of a vote against the poll: option indexes on
+// choice polls, the answer on open questions, and either on scale polls, where the
+// answer is the value on the scale. Returns the ballot for recordVote or
+// { error, field } naming the field at fault
+var parseVote = (poll, body) => {
+    var field = 'answer';
+    var ballot;
+    if (answers.isOpen(poll)) {
+        ballot = answers.parseAnswer(poll, body.answer);
+    } else if (poll.questionType === 'scale' && body.answer !== undefined) {
+        ballot = scales.parseAnswer(poll, body.answer);
+    } else {
+        field = 'option';
+        ballot = ballots.parseBallot(poll, body.option);
+    }
+    if (ballot.error)
+        ballot.field = field;
+    return ballot;
+};
+
+// adds a ballot's score changes to an $inc update document
+var addScores = (inc, poll, choices, amount) => {
+    ballots.scoredChoices(poll, choices).forEach((i) => {
+        var path = 'options.' + i + '.score';
+        inc[path] = (inc[path] || 0) + amount;
+    });
+    return inc;
+};
+
+// filter matching the poll only while it still accepts votes and still has every chosen option
+var openPollFilter = (poll, choices, now) => {
+    var filter = {
+        _id: poll._id,
+        status: { $ne: 'closed' },
+        archived: { $ne: true },
+        $and: [
+            { $or: [{ closesAt: null }, { closesAt: { $gt: now } }] },
+            { $or: [{ status: { $ne: 'scheduled' } }, { opensAt: null }, { opensAt: { $lte: now } }] }
+        ]
+    };
+    if (choices.length) {
+        var highest = Math.max.apply(null, choices);
+        filter['options.' + highest] = { $exists: true };
+    }
+    return filter;
+};
+
+// update document for a poll, leaving out an $inc without any scores
+var withScores = (update, inc) => {
+    if (Object.keys(inc).length)
+        update.$inc = inc;
+    return update;
+};
+
+// counts one ballot with a single conditional update: the voter guard and the voting window
+// are part of the filter, so concurrent requests can neither lose increments nor vote twice.
+// `ballot` is { choices } on choice polls and { text } or { value } on open questions
+var recordVote = (poll, userId, ballot, done) => {
+    var now = new Date();
+    var choices = ballot.choices || [];
+    var voterKey = receipts.voterKey(poll, userId);
+    var filter = openPollFilter(poll, choices, now);
+    filter.voters = { $ne: voterKey };
+
+    Polls.findOneAndUpdate(
+        filter,
+        withScores({ $push: { voters: receipts.pushKey(poll, voterKey) } }, addScores({}, poll, choices, 1)),
+        { new: true },
+        (err, updated) => {
+            if (err)
+                return done(err);
+            if (!updated)
+                return explainRefusal(poll._id, voterKey, done);
+
+            // anonymous ballots carry nothing that links them to the voter, not even an
+            // id telling when they were cast
+            var record = { poll: updated.id, choices: choices, text: ballot.text, value: ballot.value };
+            if (ballot.text !== undefined && updated.moderated)
+                record.moderation = 'pending';
+            if (updated.privacy !== 'anonymous') {
+                record.voter = String(userId);
+                record.createdAt = now;
+            } else {
+                record._id = receipts.ballotId();
+            }
+            Ballots.create(record, (err, created) => {
+                if (!err)
+                    return done(null, updated, created);
+                // take the vote back out so the tally never counts a ballot that was not stored
+                Polls.findOneAndUpdate(
+                    { _id: updated._id, voters: voterKey },
+                    withScores({ $pull: { voters: voterKey } }, addScores({}, poll, choices, -1)),
+                    () => done(err)
+                );
+            });
+        }
+    );
+};
+
+// takes back a vote recordVote counted, given the ballot it created; used when a
+// submission covering several polls fails part way: done(err, poll)
+var undoVote = (poll, userId, ballot, done) => {
+    var voterKey = receipts.voterKey(poll, userId);
+    Ballots.remove({ _id: ballot._id }, (err) => {
+        if (err)
+            return done(err);
+        Polls.findOneAndUpdate(
+            { _id: poll._id, voters: voterKey },
+            withScores({ $pull: { voters: voterKey } }, addScores({}, poll, ballot.choices, -1)),
+            { new: true },
+            done
+        );
+    });
+};
+
+// works out why the conditional update matched nothing
+var explainRefusal = (pollId, voterKey, done) => {
+    Polls.findById(pollId, (err, current) => {
+        if (err)
+            return done(err);
+        if (!current)
+            return done(new errors.NotFoundError('poll not found'));
+        if (current.voters.indexOf(voterKey) !== -1)
+            return done(new errors.ConflictError('only one vote per user'));
+        var closed = current.votingError();
+        if (closed)
+            return done(new errors.ForbiddenError(closed));
+        done(new errors.ConflictError('poll options changed, reload the poll and vote again'));
+    });
+};
+
+module.exports = {
+    parseVote: parseVote,
+    addScores: addScores,
+    withScores: withScores,
+    recordVote: recordVote,
+    undoVote: undoVote
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+var errors = require('../utils/errors');
+
+// declarative request validation: a schema lists the expected fields of req.body,
+// req.query and req.params, every field is checked and coerced in place, and all
+// problems are reported together as one ValidationError
+
+var OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+// deliberately loose, the address is confirmed by actually mailing it
+var EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// url encoded forms send lists as JSON strings
+var toList = (value) => {
+    if (Array.isArray(value))
+        return value;
+    if (typeof value === 'string' && value.trim().charAt(0) === '[') {
+        try {
+            var list = JSON.parse(value);
+            if (Array.isArray(list))
+                return list;
+        } catch (e) {}
+    }
+    return undefined;
+};
+
+var toMap = (value) => {
+    if (typeof value === 'string' && value.trim().charAt(0) === '{') {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return undefined;
+        }
+    }
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+};
+
+var toInteger = (value) => {
+    if (typeof value === 'number')
+        return Number.isInteger(value) ? value : undefined;
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim()))
+        return Number(value);
+    return undefined;
+};
+
+// each checker returns { value } with the coerced value or { error } with a message
+var checkers = {
+    string: (value, spec) => {
+        if (typeof value !== 'string')
+            return { error: 'must be a string' };
+        value = value.trim();
+        if (value.length < (spec.minLength || 0))
+            return { error: spec.minLength === 1 ? 'must not be empty' : 'must be at least ' + spec.minLength + ' characters' };
+        if (spec.maxLength && value.length > spec.maxLength)
+            return { error: 'must be at most ' + spec.maxLength + ' characters' };
+        if (spec.values && spec.values.indexOf(value) === -1)
+            return { error: 'must be one of ' + spec.values.join(', ') };
+        return { value: value };
+    },
+    // passwords are never trimmed
+    password: (value, spec) => {
+        if (typeof value !== 'string' || value.length === 0)
+            return { error: 'must not be empty' };
+        if (value.length < (spec.minLength || 1))
+            return { error: 'must be at least ' + spec.minLength + ' characters' };
+        if (value.length > (spec.maxLength || 1024))
+            return { error: 'must be at most ' + (spec.maxLength || 1024) + ' characters' };
+        return { value: value };
+    },
+    email: (value) => {
+        if (typeof value !== 'string' || value.length > 254 || !EMAIL.test(value.trim()))
+            return { error: 'must be a valid email address' };
+        return { value: value.trim() };
+    },
+    objectId: (value) => {
+        if (typeof value !== 'string' || !OBJECT_ID.test(value))
+            return { error: 'must be a valid id' };
+        return { value: value };
+    },
+    integer: (value, spec) => {
+        var number = toInteger(value);
+        if (number === undefined)
+            return { error: 'must be an integer' };
+        if (spec.min !== undefined && number < spec.min)
+            return { error: 'must be at least ' + spec.min };
+        if (spec.max !== undefined && number > spec.max)
+            return { error: 'must be at most ' + spec.max };
+        return { value: number };
+    },
+    // any finite number, numeric strings included
+    number: (value, spec) => {
+        var number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !isFinite(number))
+            return { error: 'must be a number' };
+        if (spec.min !== undefined && number < spec.min)
+            return { error: 'must be at least ' + spec.min };
+        if (spec.max !== undefined && number > spec.max)
+            return { error: 'must be at most ' + spec.max };
+        return { value: number };
+    },
+    boolean: (value) => {
+        if (value === true || value === 'true')
+            return { value: true };
+        if (value === false || value === 'false')
+            return { value: false };
+        return { error: 'must be true or false' };
+    },
+    date: (value) => {
+        var date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        if (!date || isNaN(date.getTime()))
+            return { error: 'must be a date' };
+        return { value: date };
+    },
+    list: (value, spec) => {
+        var list = toList(value);
+        if (!list)
+            return { error: 'must be a list' };
+        if (spec.minItems && list.length < spec.minItems)
+            return { error: 'must have at least ' + spec.minItems + ' items' };
+        if (spec.maxItems && list.length > spec.maxItems)
+            return { error: 'must have at most ' + spec.maxItems + ' items' };
+        var items = [];
+        for (var i = 0; i < list.length; i++) {
+            var item = check(list[i], spec.items);
+            if (item.error)
+                return { error: 'item ' + i + ' ' + item.error };
+            items.push(item.value);
+        }
+        return { value: items };
+    },
+    // an object keyed by ids, such as answers by poll id, each value checked by spec.items
+    map: (value, spec) => {
+        var map = toMap(value);
+        if (!map)
+            return { error: 'must be an object' };
+        var keys = Object.keys(map);
+        if (spec.maxItems && keys.length > spec.maxItems)
+            return { error: 'must have at most ' + spec.maxItems + ' items' };
+        var items = {};
+        for (var i = 0; i < keys.length; i++) {
+            if (!OBJECT_ID.test(keys[i]))
+                return { error: 'key ' + keys[i] + ' must be a valid id' };
+            var item = check(map[keys[i]], spec.items);
+            if (item.error)
+                return { error: 'item ' + keys[i] + ' ' + item.error };
+            items[keys[i]] = item.value;
+        }
+        return { value: items };
+    },
+    // a nested object whose fields are checked like those of a request part
+    object: (value, spec) => {
+        var object = toMap(value);
+        if (!object)
+            return { error: 'must be an object' };
+        object = Object.assign({}, object);
+        var problems = validatePart(object, spec.fields);
+        if (problems.length)
+            return { error: problems.map((problem) => problem.field + ' ' + problem.message).join(', ') };
+        return { value: object };
+    },
+    // a single option index or a list of them, checked against the poll when it is loaded
+    ballot: (value, spec) => {
+        var index = { type: 'integer', min: 0, max: spec.maxIndex };
+        if (toList(value))
+            return check(value, { type: 'list', minItems: 1, maxItems: spec.maxIndex + 1, items: index });
+        return check(value, index);
+    },
+    // the answer to an open question, text or a number, or where spec.lists allows
+    // the option indexes chosen on a choice question; checked against the poll when
+    // it is loaded
+    answer: (value, spec) => {
+        if (Array.isArray(value) && spec.lists)
+            return check(value, { type: 'list', minItems: 1, maxItems: spec.lists, items: { type: 'integer', required: true, min: 0 } });
+        if (typeof value === 'number')
+            return isFinite(value) ? { value: value } : { error: 'must be a number' };
+        if (typeof value !== 'string')
+            return { error: 'must be text or a number' };
+        if (value.length > spec.maxLength)
+            return { error: 'must be at most ' + spec.maxLength + ' characters' };
+        return { value: value };
+    }
+};
+
+var check = (value, spec) => checkers[spec.type](value, spec);
+
+var isMissing = (value) => value === undefined || value === null || value === '';
+
+// checks one part of the request, returns the list of problems
+var validatePart = (source, fields, location) => {
+    var problems = [];
+    Object.keys(fields).forEach((name) => {
+        var spec = fields[name];
+        if (isMissing(source[name])) {
+            if (spec.required)
+                problems.push({ field: name, location: location, message: 'is required' });
+            else if (spec.default !== undefined)
+                source[name] = spec.default;
+            return;
+        }
+        var result = check(source[name], spec);
+        if (result.error)
+            problems.push({ field: name, location: location, message: result.error });
+        else
+            source[name] = result.value;
+    });
+    return problems;
+};
+
+// express middleware for a { body, query, params } schema
+var validate = (schema) => (req, res, next) => {
+    var problems = [];
+    ['params', 'query', 'body'].forEach((location) => {
+        if (schema[location])
+            problems = problems.concat(validatePart(req[location] || (req[location] = {}), schema[location], location));
+    });
+    if (problems.length)
+        return next(new errors.ValidationError('invalid request', problems));
+    next();
+};
+
+// checks a plain object against the fields of a schema part, for input that does not
+// come as a request of its own such as the rows of an import; returns the problems
+validate.fields = validatePart;
+
+module.exports = validate;
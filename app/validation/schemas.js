@@ -0,0 +1,254 @@
+'use strict';
+
+// request schemas for the routes in app/routes/index.js
+
+var roles = require('../config/roles');
+var oauth = require('../config/oauth');
+var answers = require('../utils/answers');
+var pollImport = require('../utils/pollImport');
+
+var MAX_OPTIONS = 20;
+var MAX_SURVEY_QUESTIONS = 50;
+var MAX_SURVEY_SECTIONS = 20;
+
+var pollId = { type: 'objectId', required: true };
+var pollName = { type: 'string', required: true, minLength: 1, maxLength: 200 };
+var optionText = { type: 'string', required: true, minLength: 1, maxLength: 200 };
+var optionIndex = { type: 'integer', required: true, min: 0, max: MAX_OPTIONS - 1 };
+var ballot = { type: 'ballot', maxIndex: MAX_OPTIONS - 1 };
+var answer = { type: 'answer', maxLength: answers.TEXT_LIMIT };
+var resultsVisibility = { type: 'string', values: ['always', 'after_voting', 'after_close', 'on_reveal'] };
+var optionIndexes = { type: 'list', minItems: 1, maxItems: MAX_OPTIONS, items: { type: 'integer', min: 0, max: MAX_OPTIONS - 1 } };
+var quizPoints = { type: 'integer', min: 1, max: 100 };
+var quizFeedback = { type: 'string', values: ['immediate', 'deferred'] };
+var seriesId = { type: 'objectId', required: true };
+var surveyId = { type: 'objectId', required: true };
+var newPassword = { type: 'password', required: true, minLength: 8, maxLength: 128 };
+
+var byPollId = { body: { poll_id: pollId } };
+
+// a section of a new survey: its questions, and branches that take respondents
+// whose answer to a question matches further on, to section goto or without it to
+// the end; see app/utils/surveys.js
+var surveyQuestion = {
+    type: 'object',
+    fields: { poll_id: pollId, required: { type: 'boolean', default: true } }
+};
+var surveyBranch = {
+    type: 'object',
+    fields: {
+        poll_id: pollId,
+        options: optionIndexes,
+        min_value: { type: 'number' },
+        max_value: { type: 'number' },
+        goto: { type: 'integer', min: 1, max: MAX_SURVEY_SECTIONS - 1 }
+    }
+};
+var surveySection = {
+    type: 'object',
+    fields: {
+        title: { type: 'string', maxLength: 200 },
+        questions: { type: 'list', required: true, minItems: 1, maxItems: MAX_SURVEY_QUESTIONS, items: surveyQuestion },
+        branches: { type: 'list', maxItems: MAX_SURVEY_SECTIONS, items: surveyBranch }
+    }
+};
+
+module.exports = {
+    MAX_OPTIONS: MAX_OPTIONS,
+    MAX_SURVEY_QUESTIONS: MAX_SURVEY_QUESTIONS,
+    MAX_SURVEY_SECTIONS: MAX_SURVEY_SECTIONS,
+
+    home: {
+        query: { vote: { type: 'objectId' } }
+    },
+    signup: {
+        body: {
+            email: { type: 'email', required: true },
+            password: newPassword,
+            name: { type: 'string', required: true, minLength: 1, maxLength: 100 }
+        }
+    },
+    login: {
+        body: {
+            email: { type: 'email', required: true },
+            password: { type: 'password', required: true }
+        }
+    },
+    refreshToken: {
+        body: { refresh_token: { type: 'string', required: true, minLength: 1, maxLength: 200 } }
+    },
+    emailToken: {
+        body: { token: { type: 'string', required: true, minLength: 1, maxLength: 1000 } }
+    },
+    emailLink: {
+        query: { token: { type: 'string', required: true, minLength: 1, maxLength: 1000 } }
+    },
+    forgotPassword: {
+        body: { email: { type: 'email', required: true } }
+    },
+    resetPassword: {
+        body: {
+            token: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
+            new_password: newPassword
+        }
+    },
+    oauthStart: {
+        query: { link: { type: 'string', maxLength: 1000 } }
+    },
+    provider: {
+        params: { provider: { type: 'string', required: true, values: Object.keys(oauth.PROVIDERS) } }
+    },
+    newPoll: {
+        body: {
+            name: pollName,
+            // required for choice polls, open questions have none
+            options: { type: 'list', minItems: 2, maxItems: MAX_OPTIONS, items: optionText },
+            question_type: { type: 'string', values: answers.QUESTION_TYPES },
+            // open questions only; min_value and max_value are also the end points of scales
+            max_length: { type: 'integer', min: 1, max: answers.TEXT_LIMIT },
+            min_value: { type: 'number' },
+            max_value: { type: 'number' },
+            // weighted results, one weight per option of a choice poll or point of a scale
+            weights: { type: 'list', maxItems: MAX_OPTIONS, items: { type: 'number', required: true } },
+            integer_only: { type: 'boolean' },
+            moderated: { type: 'boolean' },
+            ballot_type: { type: 'string', values: ['single', 'multiple', 'ranked'] },
+            max_choices: { type: 'integer', min: 1, max: MAX_OPTIONS },
+            privacy: { type: 'string', values: ['identified', 'anonymous'] },
+            allow_vote_changes: { type: 'boolean' },
+            results_visibility: resultsVisibility,
+            // quiz polls only
+            correct_options: optionIndexes,
+            points: quizPoints,
+            feedback: quizFeedback,
+            opens_at: { type: 'date' },
+            closes_at: { type: 'date' },
+            course_id: { type: 'objectId' }
+        }
+    },
+    // CSV files come as text and are left to app/utils/pollImport.js, as are the rows of
+    // JSON files, which are checked one by one like newPoll bodies
+    importPolls: {
+        body: { polls: { type: 'list', minItems: 1, maxItems: pollImport.MAX_ROWS, items: { type: 'object', fields: {} } } }
+    },
+    poll: byPollId,
+    joinCode: {
+        params: { code: { type: 'string', required: true, minLength: 4, maxLength: 20 } }
+    },
+    sharePoll: {
+        query: { poll_id: pollId }
+    },
+    vote: {
+        // option on choice polls, answer on open questions
+        body: { poll_id: pollId, option: ballot, answer: answer }
+    },
+    retractVote: byPollId,
+    pollAction: byPollId,
+    exportPoll: {
+        query: {
+            poll_id: pollId,
+            format: { type: 'string', values: ['csv', 'json'], default: 'csv' },
+            rows: { type: 'string', values: ['tallies', 'ballots'], default: 'tallies' }
+        }
+    },
+    renamePoll: {
+        body: { poll_id: pollId, name: pollName }
+    },
+    addOption: {
+        body: { poll_id: pollId, option: optionText, weight: { type: 'number' } }
+    },
+    editOption: {
+        body: { poll_id: pollId, index: optionIndex, option: optionText }
+    },
+    removeOption: {
+        body: { poll_id: pollId, index: optionIndex, reset: { type: 'boolean', default: false } }
+    },
+    reopenPoll: {
+        body: { poll_id: pollId, closes_at: { type: 'date' } }
+    },
+    resultsVisibility: {
+        body: { poll_id: pollId, results_visibility: Object.assign({ required: true }, resultsVisibility) }
+    },
+    responses: {
+        query: { poll_id: pollId, status: { type: 'string', values: ['pending', 'approved', 'rejected'] } }
+    },
+    moderateResponse: {
+        body: {
+            poll_id: pollId,
+            response_id: { type: 'objectId', required: true },
+            decision: { type: 'string', required: true, values: ['approved', 'rejected'] }
+        }
+    },
+    quizAnswers: {
+        body: {
+            poll_id: pollId,
+            correct_options: Object.assign({ required: true }, optionIndexes),
+            points: quizPoints,
+            feedback: quizFeedback
+        }
+    },
+    // either sections, or poll_ids for a single section of required questions
+    newSurvey: {
+        body: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+            poll_ids: { type: 'list', minItems: 1, maxItems: MAX_SURVEY_QUESTIONS, items: pollId },
+            sections: { type: 'list', minItems: 1, maxItems: MAX_SURVEY_SECTIONS, items: surveySection }
+        }
+    },
+    surveyResults: {
+        query: { survey_id: surveyId }
+    },
+    survey: {
+        body: { survey_id: surveyId }
+    },
+    // the answer to each question by the id of its poll
+    submitSurvey: {
+        body: {
+            survey_id: surveyId,
+            answers: { type: 'map', required: true, maxItems: MAX_SURVEY_QUESTIONS, items: Object.assign({ required: true, lists: MAX_OPTIONS }, answer) }
+        }
+    },
+    newQuizSeries: {
+        body: { name: { type: 'string', required: true, minLength: 1, maxLength: 200 } }
+    },
+    quizSeriesPoll: {
+        body: { series_id: seriesId, poll_id: pollId }
+    },
+    leaderboard: {
+        query: { series_id: seriesId }
+    },
+    quizReport: {
+        query: { series_id: seriesId, user_id: { type: 'objectId' } }
+    },
+    newTemplate: {
+        body: { poll_id: pollId, name: { type: 'string', minLength: 1, maxLength: 200 } }
+    },
+    // name, opens_at, closes_at and course_id are checked with the template's settings
+    useTemplate: {
+        body: { template_id: { type: 'objectId', required: true } }
+    },
+    templateAction: {
+        body: { template_id: { type: 'objectId', required: true } }
+    },
+    newCourse: {
+        body: { name: { type: 'string', required: true, minLength: 1, maxLength: 200 } }
+    },
+    joinCourse: {
+        body: { code: { type: 'string', required: true, minLength: 4, maxLength: 20 } }
+    },
+    setRole: {
+        body: {
+            user_id: { type: 'objectId', required: true },
+            role: { type: 'string', required: true, values: roles.ROLES }
+        }
+    },
+    userPolls: {
+        query: { include_archived: { type: 'boolean', default: false } }
+    },
+    changePassword: {
+        body: {
+            current_password: { type: 'password', required: true },
+            new_password: newPassword
+        }
+    }
+};
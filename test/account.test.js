@@ -0,0 +1,22 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+
+describe('GET /auth/user_details', () => {
+    it('shows the public fields of the account and nothing else', () => support.user({
+        name: 'Ada', email: 'ada@example.com', role: 'instructor', hashed_password: 'scrypt$secret', salt: 'old',
+        polls: ['5a0000000000000000000001'], githubId: '42', googleId: 'g-1', failedLogins: 3, lockedUntil: new Date()
+    }).then((account) => request(support.app)
+        .get('/auth/user_details')
+        .set('Authorization', 'Bearer ' + account.token))
+        .then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, { name: 'Ada', email: 'ada@example.com', emailVerified: true, role: 'instructor' });
+        }));
+
+    it('refuses requests without a token', () => request(support.app)
+        .get('/auth/user_details')
+        .then((res) => assert.strictEqual(res.status, 401)));
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+var assert = require('assert');
+var mongoose = require('mongoose');
+var request = require('supertest');
+var support = require('./support/app');
+var migrations = require('../app/config/migrations');
+var receipts = require('../app/utils/receipts');
+var Polls = require('../app/models/polls');
+var Ballots = require('../app/models/ballots');
+
+var VOTERS = 20;
+
+var migrate = () => new Promise((resolve, reject) => {
+    migrations.run((err, report) => err ? reject(err) : resolve(report));
+});
+
+var sorted = (list) => list.slice().sort();
+
+describe('anonymous polls', () => {
+    var owner;
+    var voters;
+
+    beforeEach(() => {
+        var created = [];
+        for (var i = 0; i <= VOTERS; i++)
+            created.push(support.user({}));
+        return Promise.all(created).then((users) => {
+            owner = users[0];
+            voters = users.slice(1);
+        });
+    });
+
+    // votes one after another, so the order of the votes is known
+    var voteInTurn = (poll, body) => voters.reduce((previous, voter, i) => previous.then(() => request(support.app)
+        .post('/auth/vote')
+        .set('Authorization', 'Bearer ' + voter.token)
+        .set('X-Forwarded-For', '10.3.0.' + i)
+        .send(Object.assign({ poll_id: poll.id }, typeof body === 'function' ? body(i) : body))
+        .then((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body)))), Promise.resolve());
+
+    it('keeps receipts sorted instead of in the order of the votes', () => {
+        var poll;
+        return support.poll(owner, { privacy: 'anonymous' }).then((created) => {
+            poll = created;
+            return voteInTurn(poll, (i) => ({ option: i % 2 }));
+        }).then(() => Polls.findById(poll._id).exec()).then((updated) => {
+            var inOrder = voters.map((voter) => receipts.voterKey(updated, voter.user.id));
+            assert.strictEqual(updated.voters.length, VOTERS);
+            assert.deepStrictEqual(updated.voters.toObject(), sorted(inOrder));
+            assert.notDeepStrictEqual(updated.voters.toObject(), inOrder);
+            assert.deepStrictEqual(updated.options.map((opt) => opt.score), [VOTERS / 2, VOTERS / 2]);
+        });
+    });
+
+    it('gives ballots ids that tell nothing about when they were cast', () => {
+        var poll;
+        return support.poll(owner, { privacy: 'anonymous', questionType: 'numeric', options: [], answerRules: { integer: true } }).then((created) => {
+            poll = created;
+            return voteInTurn(poll, (i) => ({ answer: i }));
+        }).then(() => Ballots.find({ poll: poll.id }).sort({ _id: 1 }).exec()).then((list) => {
+            assert.strictEqual(list.length, VOTERS);
+            list.forEach((ballot) => {
+                assert.strictEqual(ballot._id.getTimestamp().getTime(), 0);
+                assert.strictEqual(ballot.voter, undefined);
+                assert.strictEqual(ballot.createdAt, undefined);
+            });
+            var values = list.map((ballot) => ballot.value);
+            assert.deepStrictEqual(values.slice().sort((a, b) => a - b), voters.map((v, i) => i));
+            assert.notDeepStrictEqual(values, voters.map((v, i) => i));
+        });
+    });
+
+    it('still refuses a second vote', () => support.poll(owner, { privacy: 'anonymous' })
+        .then((poll) => request(support.app)
+            .post('/auth/vote')
+            .set('Authorization', 'Bearer ' + voters[0].token)
+            .send({ poll_id: poll.id, option: 0 })
+            .then(() => request(support.app)
+                .post('/auth/vote')
+                .set('Authorization', 'Bearer ' + voters[0].token)
+                .send({ poll_id: poll.id, option: 1 })))
+        .then((res) => assert.strictEqual(res.status, 409)));
+
+    it('migrates receipts and ballots recorded in the order of the votes', () => {
+        var poll;
+        var keys;
+        return support.poll(owner, { privacy: 'anonymous' }).then((created) => {
+            poll = created;
+            keys = voters.map((voter) => receipts.voterKey(poll, voter.user.id));
+            var ballots = voters.map((voter, i) => ({ _id: new mongoose.Types.ObjectId(), poll: poll.id, choices: [i % 2] }));
+            return Promise.all([
+                Polls.update({ _id: poll._id }, { $set: { voters: keys, 'options.0.score': VOTERS / 2, 'options.1.score': VOTERS / 2 } }).exec(),
+                Ballots.collection.insertMany(ballots)
+            ]);
+        }).then(migrate).then((report) => {
+            var changed = {};
+            report.forEach((step) => { changed[step.name] = step.changed; });
+            assert.strictEqual(changed['sort anonymous receipts'], 1);
+            assert.strictEqual(changed['anonymous ballot ids'], VOTERS);
+            return Promise.all([Polls.findById(poll._id).exec(), Ballots.find({ poll: poll.id }).exec()]);
+        }).then((found) => {
+            assert.deepStrictEqual(found[0].voters.toObject(), sorted(keys));
+            assert.strictEqual(found[1].length, VOTERS);
+            found[1].forEach((ballot) => assert.strictEqual(ballot._id.getTimestamp().getTime(), 0));
+            assert.strictEqual(found[1].filter((ballot) => ballot.choices[0] === 0).length, VOTERS / 2);
+            return migrate();
+        }).then((report) => {
+            report.forEach((step) => assert.strictEqual(step.changed, 0, step.name));
+        });
+    });
+
+    it('leaves identified polls as they are', () => {
+        var poll;
+        return support.poll(owner, {}).then((created) => {
+            poll = created;
+            return voteInTurn(poll, { option: 0 });
+        }).then(() => Promise.all([Polls.findById(poll._id).exec(), Ballots.find({ poll: poll.id }).sort({ createdAt: 1 }).exec()]))
+            .then((found) => {
+                assert.deepStrictEqual(found[0].voters.toObject(), voters.map((voter) => voter.user.id));
+                assert.deepStrictEqual(found[1].map((ballot) => ballot.voter), voters.map((voter) => voter.user.id));
+                found[1].forEach((ballot) => assert.ok(ballot._id.getTimestamp().getTime() > 0));
+            });
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var ballots = require('../app/utils/ballots');
+var Polls = require('../app/models/polls');
+var Surveys = require('../app/models/surveys');
+
+describe('ballots.parseBallot', () => {
+    var single = { options: [{}, {}, {}], ballotType: 'single' };
+    var multiple = { options: [{}, {}, {}], ballotType: 'multiple', maxChoices: 3 };
+
+    it('reads option indexes from numbers and strings of digits', () => {
+        assert.deepStrictEqual(ballots.parseBallot(single, 2), { choices: [2] });
+        assert.deepStrictEqual(ballots.parseBallot(single, '0'), { choices: [0] });
+        assert.deepStrictEqual(ballots.parseBallot(single, ' 1 '), { choices: [1] });
+        assert.deepStrictEqual(ballots.parseBallot(multiple, ['0', 2]), { choices: [0, 2] });
+        assert.deepStrictEqual(ballots.parseBallot(multiple, '[1, 0]'), { choices: [1, 0] });
+    });
+
+    it('refuses anything else instead of reading it as an option', () => {
+        ['', '  ', '\n', '1.5', '1e0', '0x1', '+1', '1 2', null, true, false, [], {}, 1.5, -1, 3].forEach((raw) => {
+            assert.ok(ballots.parseBallot(single, raw).error, JSON.stringify(raw));
+        });
+        [['  '], [''], ['1.0'], [null], [false]].forEach((raw) => {
+            assert.ok(ballots.parseBallot(multiple, raw).error, JSON.stringify(raw));
+        });
+    });
+});
+
+describe('POST /auth/survey/vote', () => {
+    var owner;
+    var voter;
+    var poll;
+    var survey;
+
+    beforeEach(() => Promise.all([support.user({}), support.user({})]).then((users) => {
+        owner = users[0];
+        voter = users[1];
+        return support.poll(owner, {});
+    }).then((created) => {
+        poll = created;
+        return Surveys.create({
+            name: 'Survey',
+            owner: owner.user.id,
+            polls: [poll.id],
+            sections: [{ questions: [{ poll: poll.id, required: true }] }]
+        });
+    }).then((created) => { survey = created; }));
+
+    var submit = (answer) => request(support.app)
+        .post('/auth/survey/vote')
+        .set('Authorization', 'Bearer ' + voter.token)
+        .send({ survey_id: survey.id, answers: { [poll.id]: answer } });
+
+    it('refuses a blank answer to a single choice question', () => submit('  ').then((res) => {
+        assert.strictEqual(res.status, 400, JSON.stringify(res.body));
+        assert.strictEqual(res.body.error.details[0].field, 'answers.' + poll.id);
+        return Polls.findById(poll._id).exec();
+    }).then((found) => {
+        assert.deepStrictEqual(found.options.map((opt) => opt.score), [0, 0]);
+        assert.strictEqual(found.voters.length, 0);
+    }));
+
+    it('counts an option given as a string of digits', () => submit('1').then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return Polls.findById(poll._id).exec();
+    }).then((found) => assert.deepStrictEqual(found.options.map((opt) => opt.score), [0, 1])));
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+
+describe('courses', () => {
+    var instructor;
+    var student;
+    var outsider;
+    var course;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({}), support.user({})]).then((users) => {
+        instructor = users[0];
+        student = users[1];
+        outsider = users[2];
+        return post(instructor, '/auth/courses', { name: 'Statistics 101' });
+    }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        course = res.body.course;
+    }));
+
+    var post = (account, path, body) => {
+        var req = request(support.app).post(path);
+        if (account)
+            req.set('Authorization', 'Bearer ' + account.token);
+        return req.send(body);
+    };
+
+    var courses = (account) => request(support.app)
+        .get('/auth/courses')
+        .set('Authorization', 'Bearer ' + account.token)
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            return res.body;
+        });
+
+    // a poll of the course, made through the API
+    var coursePoll = () => post(instructor, '/auth/new_poll', { name: 'Quiz time', options: ['a', 'b'], course_id: course.id }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body.poll;
+    });
+
+    it('enrolls students with the join code of the course, once', () => {
+        assert.deepStrictEqual(course.students, []);
+        assert.ok(/^[0-9A-Z]{6}$/.test(course.joinCode), course.joinCode);
+        return post(student, '/auth/courses/join', { code: course.joinCode.toLowerCase() })
+            .then((res) => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                // students see neither the code nor the roster
+                assert.deepStrictEqual(res.body.course, { id: course.id, name: 'Statistics 101', owner: instructor.user.id });
+                return post(student, '/auth/courses/join', { code: course.joinCode });
+            })
+            .then(() => Promise.all([courses(instructor), courses(student)]))
+            .then((lists) => {
+                assert.deepStrictEqual(lists[0].teaching.map((c) => c.students), [[student.user.id]]);
+                assert.deepStrictEqual(lists[0].enrolled, []);
+                assert.deepStrictEqual(lists[1].teaching, []);
+                assert.deepStrictEqual(lists[1].enrolled.map((c) => c.id), [course.id]);
+            });
+    });
+
+    it('refuses unknown codes and courses made by students', () => Promise.all([
+        post(student, '/auth/courses/join', { code: 'ZZZZZZ' }),
+        post(student, '/auth/courses', { name: 'My course' })
+    ]).then((responses) => assert.deepStrictEqual(responses.map((res) => res.status), [404, 403])));
+
+    it('lists the polls of a course to its owner', () => coursePoll()
+        .then((poll) => courses(instructor).then((lists) => {
+            assert.deepStrictEqual(lists.teaching[0].polls.map((p) => p._id), [poll._id]);
+            assert.strictEqual(lists.teaching[0].polls[0].voters, undefined);
+        })));
+
+    it('admits only enrolled students to the polls of a course', () => post(student, '/auth/courses/join', { code: course.joinCode })
+        .then(() => coursePoll())
+        .then((poll) => Promise.all([
+            post(student, '/poll', { poll_id: poll._id }),
+            post(student, '/auth/vote', { poll_id: poll._id, option: 0 }),
+            post(outsider, '/poll', { poll_id: poll._id }),
+            post(outsider, '/auth/vote', { poll_id: poll._id, option: 1 }),
+            post(null, '/poll', { poll_id: poll._id })
+        ]))
+        .then((responses) => {
+            assert.deepStrictEqual(responses.map((res) => res.status), [200, 200, 403, 403, 401]);
+            assert.deepStrictEqual(responses[1].body.options.map((opt) => opt.score), [1, 0]);
+        }));
+
+    it('attaches polls only to courses of their creator', () => support.user({ role: 'instructor' })
+        .then((other) => Promise.all([
+            post(other, '/auth/new_poll', { name: 'Mine now', options: ['a', 'b'], course_id: course.id }),
+            post(instructor, '/auth/new_poll', { name: 'Nowhere', options: ['a', 'b'], course_id: instructor.user.id })
+        ]))
+        .then((responses) => assert.deepStrictEqual(responses.map((res) => res.status), [403, 404])));
+});
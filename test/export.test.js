@@ -0,0 +1,78 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var exporter = require('../app/utils/exporter');
+var Polls = require('../app/models/polls');
+var Ballots = require('../app/models/ballots');
+
+describe('exporter.csvRow', () => {
+    it('escapes strings that start like a formula', () => {
+        assert.strictEqual(exporter.csvRow(['=1+1', '+1', '-1', '@A1', 'plain']), "'=1+1,'+1,'-1,'@A1,plain\r\n");
+        assert.strictEqual(exporter.csvRow(['\t=1+1', 'a\tb']), "'\t=1+1,a\tb\r\n");
+        assert.strictEqual(exporter.csvRow(['\r=1+1']), '"\'\r=1+1"\r\n');
+    });
+
+    it('writes numbers as they are', () => {
+        assert.strictEqual(exporter.csvRow([-5, -0.25, 0, 12]), '-5,-0.25,0,12\r\n');
+    });
+
+    it('quotes fields with separators, quotes or line breaks', () => {
+        assert.strictEqual(exporter.csvRow(['a,b', 'say "hi"', 'two\nlines', undefined, null]), '"a,b","say ""hi""","two\nlines",,\r\n');
+    });
+});
+
+describe('CSV export of open questions', () => {
+    var owner;
+    var voters;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({}), support.user({})]).then((users) => {
+        owner = users[0];
+        voters = users.slice(1);
+    }));
+
+    // stores one ballot per voter with the given fields, oldest first
+    var answered = (fields, answers) => support.poll(owner, Object.assign({ options: [] }, fields)).then((poll) => Promise.all(answers.map((answer, i) => Ballots.create(Object.assign({
+        poll: poll.id, voter: voters[i].user.id, createdAt: new Date(Date.UTC(2024, 0, 1, 0, i))
+    }, answer)))).then(() => Polls.update({ _id: poll._id }, { $set: { voters: voters.map((v) => v.user.id) } }).exec())
+        .then(() => poll));
+
+    var exportBallots = (poll) => request(support.app)
+        .get('/auth/poll/export')
+        .set('Authorization', 'Bearer ' + owner.token)
+        .query({ poll_id: poll.id, format: 'csv', rows: 'ballots' })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, res.text);
+            return res.text.split('\r\n').slice(1, -1).map((line) => line.split(',')[3]);
+        });
+
+    var exportTallies = (poll) => request(support.app)
+        .get('/auth/poll/export')
+        .set('Authorization', 'Bearer ' + owner.token)
+        .query({ poll_id: poll.id, format: 'csv', rows: 'tallies' })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, res.text);
+            return res.text.split('\r\n').slice(0, -1);
+        });
+
+    it('sums up numeric answers in the tallies', () => answered({ questionType: 'numeric', answerRules: { integer: true, min: -5, max: 5 } }, [{ value: -5 }, { value: 2 }])
+        .then(exportTallies)
+        .then((lines) => {
+            assert.deepStrictEqual(lines.slice(0, 6), ['statistic,value', 'count,2', 'min,-5', 'max,2', 'mean,-1.5', 'median,-1.5']);
+            assert.strictEqual(lines[6], 'from -5 to -5,1');
+            assert.strictEqual(lines.length, 6 + 11);
+        }));
+
+    it('counts the words of text answers in the tallies', () => answered({ questionType: 'text' }, [{ text: 'pizza and salad' }, { text: 'Pizza' }])
+        .then(exportTallies)
+        .then((lines) => assert.deepStrictEqual(lines, ['word,count', 'pizza,2', 'salad,1'])));
+
+    it('keeps negative numeric answers numbers', () => answered({ questionType: 'numeric', answerRules: { integer: false } }, [{ value: -5 }, { value: -0.5 }])
+        .then(exportBallots)
+        .then((column) => assert.deepStrictEqual(column, ['-5', '-0.5'])));
+
+    it('still escapes text answers that start like a formula', () => answered({ questionType: 'text' }, [{ text: '-5' }, { text: '=HYPERLINK("x")' }])
+        .then(exportBallots)
+        .then((column) => assert.deepStrictEqual(column, ["'-5", '"\'=HYPERLINK(""x"")"'])));
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var request = require('supertest');
+var support = require('./support/app');
+
+// app/routes serves the pages from public/ under the working directory; pages missing
+// there, as when the tests run without a build of the client, are made for the test
+var PUBLIC = path.join(process.cwd(), 'public');
+var PAGES = { 'index.html': '<p>log in</p>', 'user.html': '<p>your polls</p>' };
+
+describe('GET /', () => {
+    var made = [];
+    var madeDir = false;
+    var user;
+
+    before(() => {
+        if (!fs.existsSync(PUBLIC)) {
+            fs.mkdirSync(PUBLIC);
+            madeDir = true;
+        }
+        Object.keys(PAGES).forEach((name) => {
+            var file = path.join(PUBLIC, name);
+            if (fs.existsSync(file))
+                return;
+            fs.writeFileSync(file, PAGES[name]);
+            made.push(file);
+        });
+    });
+
+    after(() => {
+        made.forEach((file) => fs.unlinkSync(file));
+        if (madeDir)
+            fs.rmdirSync(PUBLIC);
+    });
+
+    beforeEach((done) => support.createUser({}, (err, created, token) => {
+        user = { user: created, token: token };
+        done(err);
+    }));
+
+    var page = (name) => fs.readFileSync(path.join(PUBLIC, name), 'utf8');
+
+    it('serves the login page to visitors who are not logged in', () => request(support.app).get('/').then((res) => {
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.text, page('index.html'));
+    }));
+
+    it('serves the user page to logged in users', () => request(support.app)
+        .get('/')
+        .set('Authorization', 'Bearer ' + user.token)
+        .then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.text, page('user.html'));
+        }));
+});
@@ -0,0 +1,184 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var pollImport = require('../app/utils/pollImport');
+var Users = require('../app/models/users');
+var Polls = require('../app/models/polls');
+
+describe('POST /auth/polls/import', () => {
+    var instructor;
+
+    beforeEach(() => support.user({ role: 'instructor' }).then((created) => { instructor = created; }));
+
+    var importPolls = () => request(support.app)
+        .post('/auth/polls/import')
+        .set('Authorization', 'Bearer ' + instructor.token);
+
+    // ids of the polls of the instructor as their account lists them
+    var owned = () => Users.findById(instructor.user._id).exec().then((user) => user.polls.toObject());
+
+    it('creates the valid rows of a CSV file and reports the others by row', () => importPolls()
+        .type('text/csv')
+        .send('name,option 1,option 2,max_choices\r\nLunch,pizza,salad,\r\n,a,b,\r\nDinner,soup,"fish, chips",many\r\n')
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.deepStrictEqual(res.body.created.map((poll) => [poll.row, poll.name]), [[1, 'Lunch']]);
+            assert.deepStrictEqual(res.body.errors.map((error) => error.row), [2, 3]);
+            assert.deepStrictEqual(res.body.errors[0].problems.map((problem) => problem.field), ['name']);
+            return Promise.all([owned(), Polls.findById(res.body.created[0].id).exec()]);
+        })
+        .then((found) => {
+            assert.deepStrictEqual(found[0], [found[1].id]);
+            assert.deepStrictEqual(found[1].options.map((opt) => opt.option), ['pizza', 'salad']);
+            assert.ok(found[1].joinCode);
+        }));
+
+    it('creates polls from a JSON list or a list under polls', () => importPolls()
+        .send([{ name: 'First', options: ['a', 'b'] }])
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            return importPolls().send({ polls: [{ name: 'Second', question_type: 'text' }] });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            return owned();
+        })
+        .then((polls) => assert.strictEqual(polls.length, 2)));
+
+    it('refuses JSON files that are not a list of polls', () => importPolls()
+        .send({ polls: 'First, Second' })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details, [{ field: 'polls', location: 'body', message: 'must be a list' }]);
+            return importPolls().send({ polls: Array.from({ length: pollImport.MAX_ROWS + 1 }, () => ({ name: 'Poll', options: ['a', 'b'] })) });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details.map((problem) => problem.field), ['polls']);
+            return importPolls().send({ polls: [{ name: 'Poll', options: ['a', 'b'] }, 'Another'] });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            return Polls.count({}).exec();
+        })
+        .then((count) => assert.strictEqual(count, 0)));
+
+    it('refuses files without a valid poll and creates nothing', () => importPolls()
+        .type('text/csv')
+        .send('name,option\r\nLunch,pizza\r\n')
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details.map((error) => error.row), [1]);
+            return importPolls().type('text/csv').send('name,colour\r\nLunch,red\r\n');
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error.details[0].field, 'colour');
+            return Polls.count({}).exec();
+        })
+        .then((count) => assert.strictEqual(count, 0)));
+
+    it('removes the polls already inserted when the batch fails partway', () => {
+        var insertMany = Polls.insertMany;
+        Polls.insertMany = (docs, done) => {
+            Polls.insertMany = insertMany;
+            Polls.create(docs[0], () => done(new Error('duplicate key')));
+        };
+        return importPolls()
+            .send([{ name: 'First', options: ['a', 'b'] }, { name: 'Second', options: ['a', 'b'] }])
+            .then((res) => {
+                assert.strictEqual(res.status, 500);
+                return Promise.all([Polls.count({}).exec(), owned()]);
+            })
+            .then((found) => assert.deepStrictEqual(found, [0, []]));
+    });
+
+    it('removes the polls again when they cannot be added to the account', () => {
+        support.failOnce(Users, 'update');
+        return importPolls()
+            .send([{ name: 'First', options: ['a', 'b'] }, { name: 'Second', options: ['a', 'b'] }])
+            .then((res) => {
+                assert.strictEqual(res.status, 500);
+                return Promise.all([Polls.count({}).exec(), owned()]);
+            })
+            .then((found) => assert.deepStrictEqual(found, [0, []]));
+    });
+
+    it('is only open to accounts that may create polls', () => support.user({}).then((student) => request(support.app)
+        .post('/auth/polls/import')
+        .set('Authorization', 'Bearer ' + student.token)
+        .send([{ name: 'First', options: ['a', 'b'] }]))
+        .then((res) => assert.strictEqual(res.status, 403)));
+});
+
+describe('poll templates', () => {
+    var instructor;
+    var other;
+    var poll;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({ role: 'instructor' })]).then((users) => {
+        instructor = users[0];
+        other = users[1];
+        return support.poll(instructor, { name: 'Mood', ballotType: 'multiple', maxChoices: 2, allowVoteChanges: true, resultsVisibility: 'after_close' });
+    }).then((created) => { poll = created; }));
+
+    var post = (account, path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .send(body);
+
+    var saved = () => post(instructor, '/auth/templates', { poll_id: poll.id, name: 'Weekly mood' }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body.template;
+    });
+
+    it('makes new polls with the settings of a saved poll', () => saved()
+        .then((template) => {
+            assert.strictEqual(template.name, 'Weekly mood');
+            return post(instructor, '/auth/templates/use', { template_id: template._id, name: 'Mood on Monday' });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var created = res.body.poll;
+            assert.strictEqual(created.name, 'Mood on Monday');
+            assert.deepStrictEqual(created.options.map((opt) => opt.option), ['yes', 'no']);
+            assert.deepStrictEqual([created.ballotType, created.maxChoices, created.allowVoteChanges, created.resultsVisibility],
+                ['multiple', 2, true, 'after_close']);
+            assert.notStrictEqual(created.joinCode, poll.joinCode);
+        }));
+
+    it('lists and deletes only the templates of their owner', () => saved()
+        .then((template) => request(support.app)
+            .get('/auth/templates')
+            .set('Authorization', 'Bearer ' + other.token)
+            .then((res) => {
+                assert.deepStrictEqual(res.body, []);
+                return post(other, '/auth/templates/delete', { template_id: template._id });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 404);
+                return post(other, '/auth/templates/use', { template_id: template._id });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 404);
+                return post(instructor, '/auth/templates/delete', { template_id: template._id });
+            })
+            .then((res) => {
+                assert.deepStrictEqual(res.body, { deleted: template._id });
+                return post(instructor, '/auth/templates/use', { template_id: template._id });
+            })
+            .then((res) => assert.strictEqual(res.status, 404))));
+
+    it('refuses saving polls of someone else and invalid polls made from a template', () => post(other, '/auth/templates', { poll_id: poll.id })
+        .then((res) => {
+            assert.strictEqual(res.status, 403);
+            return saved();
+        })
+        .then((template) => post(instructor, '/auth/templates/use', { template_id: template._id, name: '', closes_at: 'soon' }))
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details.map((problem) => problem.field).sort(), ['closes_at', 'name']);
+        }));
+});
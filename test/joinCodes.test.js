@@ -0,0 +1,173 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var codes = require('../app/utils/codes');
+var qrcode = require('../app/utils/qrcode');
+var Polls = require('../app/models/polls');
+
+var CODE = /^[23456789ABCDEFGHJKMNPQRSTVWXYZ]{6}$/;
+
+describe('codes', () => {
+    it('reads codes typed in any case, with spaces or dashes', () => {
+        assert.strictEqual(codes.normalize(' 7kq-9 rm '), '7KQ9RM');
+        assert.strictEqual(codes.normalize(undefined), '');
+    });
+
+    it('tries another code when the unique index refuses one', (done) => {
+        var tried = [];
+        codes.withUniqueCode(6, (code, cb) => {
+            tried.push(code);
+            cb(tried.length < 3 ? { code: 11000 } : null, code);
+        }, (err, saved) => {
+            assert.ifError(err);
+            assert.strictEqual(tried.length, 3);
+            assert.strictEqual(saved, tried[2]);
+            done();
+        });
+    });
+
+    it('replaces codes already taken when making many at once', (done) => {
+        var asked = 0;
+        codes.uniqueCodes(4, 6, (fresh, cb) => {
+            asked++;
+            // the first two are in use the first time round
+            cb(null, asked === 1 ? fresh.slice(0, 2) : []);
+        }, (err, list) => {
+            assert.ifError(err);
+            assert.strictEqual(asked, 2);
+            assert.strictEqual(new Set(list).size, 4);
+            list.forEach((code) => assert.ok(CODE.test(code), code));
+            done();
+        });
+    });
+});
+
+describe('qrcode', () => {
+    // the 7 by 7 finder pattern with its top left corner at x, y
+    var hasFinder = (modules, x, y) => {
+        for (var dy = 0; dy < 7; dy++) {
+            for (var dx = 0; dx < 7; dx++) {
+                var ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                if (modules[y + dy][x + dx] !== (ring !== 2))
+                    return false;
+            }
+        }
+        return true;
+    };
+
+    // the 15 format bits as drawn around the top left finder, most significant first
+    var formatBits = (modules) => {
+        var cells = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+        return cells.reduce((bits, cell, i) => bits | ((modules[cell[1]][cell[0]] ? 1 : 0) << i), 0);
+    };
+
+    // valid format words of error correction level M, one per mask
+    var levelM = [0, 1, 2, 3, 4, 5, 6, 7].map((mask) => {
+        var rem = mask;
+        for (var i = 0; i < 10; i++)
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        return ((mask << 10) | rem) ^ 0x5412;
+    });
+
+    it('draws the function patterns and a level M format of the smallest version that fits', () => {
+        var modules = qrcode.encode('http://x/p/ABC');
+        var size = modules.length;
+        assert.strictEqual(size, 21);
+        assert.ok(hasFinder(modules, 0, 0) && hasFinder(modules, size - 7, 0) && hasFinder(modules, 0, size - 7));
+        for (var i = 8; i < size - 8; i++) {
+            assert.strictEqual(modules[6][i], i % 2 === 0);
+            assert.strictEqual(modules[i][6], i % 2 === 0);
+        }
+        assert.ok(levelM.indexOf(formatBits(modules)) !== -1);
+        assert.strictEqual(modules[size - 8][8], true);
+    });
+
+    it('grows with the link up to version 10', () => {
+        assert.strictEqual(qrcode.encode('x'.repeat(15)).length, 25);
+        assert.strictEqual(qrcode.encode('x'.repeat(213)).length, 57);
+        assert.throws(() => qrcode.encode('x'.repeat(214)), /too long/);
+    });
+
+    it('renders one unit per module inside a quiet zone', () => {
+        var svg = qrcode.toSvg('http://x/p/ABC');
+        assert.ok(svg.indexOf('viewBox="0 0 29 29"') !== -1, svg);
+        // the top left module of the top left finder
+        assert.ok(svg.indexOf('M4,4h1v1h-1z') !== -1);
+    });
+});
+
+describe('join codes', () => {
+    var owner;
+    var poll;
+
+    beforeEach(() => support.user({ role: 'instructor' }).then((created) => {
+        owner = created;
+        return request(support.app)
+            .post('/auth/new_poll')
+            .set('Authorization', 'Bearer ' + owner.token)
+            .send({ name: 'Lunch', options: ['pizza', 'salad'] });
+    }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        poll = res.body.poll;
+    }));
+
+    var share = (account, id) => request(support.app)
+        .get('/auth/poll/share')
+        .set('Authorization', 'Bearer ' + account.token)
+        .query({ poll_id: id });
+
+    it('gives every new poll a code that leads to it', () => {
+        assert.ok(CODE.test(poll.joinCode), poll.joinCode);
+        var typed = poll.joinCode.toLowerCase().slice(0, 3) + '-' + poll.joinCode.slice(3);
+        return request(support.app)
+            .get('/p/' + typed)
+            .set('Accept', 'application/json')
+            .then((res) => {
+                assert.deepStrictEqual(res.body, { poll_id: poll._id, code: poll.joinCode });
+                return request(support.app).get('/p/' + poll.joinCode).set('Accept', 'text/html');
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 302);
+                assert.strictEqual(res.headers.location, '/?vote=' + poll._id);
+            });
+    });
+
+    it('serves the QR code of a poll link', () => request(support.app)
+        .get('/p/' + poll.joinCode + '/qr.svg')
+        .buffer(true)
+        .parse((res, done) => {
+            var text = '';
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => done(null, text));
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.ok(/^image\/svg\+xml/.test(res.headers['content-type']));
+            assert.ok(/max-age=86400/.test(res.headers['cache-control']));
+            assert.ok(res.body.indexOf('<svg') !== -1);
+        }));
+
+    it('refuses codes no poll has and codes that are too short', () => Promise.all([
+        request(support.app).get('/p/ZZZZZZ').set('Accept', 'application/json'),
+        request(support.app).get('/p/ZZZZZZ/qr.svg'),
+        request(support.app).get('/p/ZZ').set('Accept', 'application/json')
+    ]).then((responses) => assert.deepStrictEqual(responses.map((res) => res.status), [404, 404, 400])));
+
+    it('shows the owner the links to share, giving older polls a code', () => Polls.update({ _id: poll._id }, { $unset: { joinCode: 1 } }).exec()
+        .then(() => Promise.all([share(owner, poll._id), share(owner, poll._id)]))
+        .then((responses) => {
+            responses.forEach((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body)));
+            var info = responses[0].body;
+            assert.ok(CODE.test(info.code), info.code);
+            // both requests see the one code the poll was given
+            assert.strictEqual(responses[1].body.code, info.code);
+            assert.ok(/\/p\/[0-9A-Z]{6}$/.test(info.url), info.url);
+            assert.strictEqual(info.qr_code, info.url + '/qr.svg');
+            return Polls.findById(poll._id).exec().then((found) => assert.strictEqual(found.joinCode, info.code));
+        }));
+
+    it('shares polls with their owner only', () => support.user({}).then((other) => share(other, poll._id))
+        .then((res) => assert.strictEqual(res.status, 403)));
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var mail = require('../app/mail');
+
+var message = { to: 'ada@example.com', subject: 'Hello', text: 'a link' };
+
+describe('mail transports', () => {
+    var saved = {};
+
+    beforeEach(() => {
+        ['NODE_ENV', 'MAIL_FILE'].forEach((name) => { saved[name] = process.env[name]; });
+    });
+
+    afterEach(() => {
+        Object.keys(saved).forEach((name) => {
+            if (saved[name] === undefined)
+                delete process.env[name];
+            else
+                process.env[name] = saved[name];
+        });
+    });
+
+    it('prints mail without a MAIL_TRANSPORT only in development', () => {
+        process.env.NODE_ENV = 'development';
+        assert.strictEqual(mail.builtIn(undefined), mail.consoleTransport);
+        assert.strictEqual(mail.builtIn(''), mail.consoleTransport);
+    });
+
+    ['production', 'test', undefined].forEach((env) => {
+        it('fails to send without a MAIL_TRANSPORT when NODE_ENV is ' + env, (done) => {
+            if (env === undefined)
+                delete process.env.NODE_ENV;
+            else
+                process.env.NODE_ENV = env;
+            mail.builtIn(undefined).send(message, (err) => {
+                assert.ok(err);
+                assert.ok(/MAIL_TRANSPORT/.test(err.message), err.message);
+                done();
+            });
+        });
+    });
+
+    it('uses a chosen transport in any environment', (done) => {
+        process.env.NODE_ENV = 'production';
+        process.env.MAIL_FILE = path.join(os.tmpdir(), 'mail-test-' + process.pid + '.log');
+        assert.strictEqual(mail.builtIn('console'), mail.consoleTransport);
+        mail.builtIn('file').send(message, (err) => {
+            if (err)
+                return done(err);
+            var sent = JSON.parse(fs.readFileSync(process.env.MAIL_FILE, 'utf8'));
+            fs.unlinkSync(process.env.MAIL_FILE);
+            assert.strictEqual(sent.to, message.to);
+            assert.strictEqual(sent.text, message.text);
+            done();
+        });
+    });
+
+    it('refuses a MAIL_TRANSPORT it does not know', () => {
+        assert.throws(() => mail.builtIn('smtp'), /unknown MAIL_TRANSPORT smtp/);
+    });
+});
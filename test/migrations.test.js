@@ -0,0 +1,126 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var migrations = require('../app/config/migrations');
+var Users = require('../app/models/users');
+var tokens = require('../app/utils/tokens');
+
+// stores accounts as they were before a feature, bypassing the schema defaults
+var insertRaw = (docs) => new Promise((resolve, reject) => {
+    Users.collection.insertMany(docs, (err) => err ? reject(err) : resolve());
+});
+
+var migrate = () => new Promise((resolve, reject) => {
+    migrations.run((err, report) => err ? reject(err) : resolve(report));
+});
+
+var roleOf = (email) => Users.findOne({ email: email }).exec().then((user) => user.role);
+
+var changedBy = (report) => {
+    var changed = {};
+    report.forEach((step) => { changed[step.name] = step.changed; });
+    return changed;
+};
+
+describe('migrations', () => {
+    var adminEmails;
+
+    beforeEach(() => {
+        adminEmails = process.env.ADMIN_EMAILS;
+        process.env.ADMIN_EMAILS = 'Boss@Example.com, second@example.com';
+    });
+
+    afterEach(() => {
+        if (adminEmails === undefined)
+            delete process.env.ADMIN_EMAILS;
+        else
+            process.env.ADMIN_EMAILS = adminEmails;
+    });
+
+    it('keeps poll creation for accounts made before roles that own polls', () => insertRaw([
+        { email: 'owner@example.com', name: 'Owner', polls: ['5a0000000000000000000001'] },
+        { email: 'voter@example.com', name: 'Voter', polls: [] },
+        { email: 'old@example.com', name: 'Old' }
+    ]).then(() => support.user({ email: 'new@example.com', role: 'instructor' })).then(migrate).then((report) => {
+        assert.strictEqual(changedBy(report)['grandfather roles'], 3);
+        return Promise.all(['owner@example.com', 'voter@example.com', 'old@example.com', 'new@example.com'].map(roleOf));
+    }).then((found) => assert.deepStrictEqual(found, ['instructor', 'student', 'student', 'instructor'])));
+
+    it('holds requests until the migrations started with the app are over', () => {
+        // the app in test/support/app.js started them when the test database connected
+        var passed = false;
+        migrations.start();
+        migrations.ready({}, {}, (err) => {
+            assert.ifError(err);
+            passed = true;
+        });
+        assert.strictEqual(passed, true);
+    });
+
+    it('counts addresses of accounts made before verification as verified', () => {
+        var token;
+        return insertRaw([{ email: 'old@example.com', name: 'Old', role: 'instructor' }])
+            .then(() => support.user({ email: 'new@example.com', role: 'instructor', emailVerified: false }))
+            .then(() => Users.findOne({ email: 'old@example.com' }).exec())
+            .then((user) => new Promise((resolve, reject) => {
+                tokens.issueSession(user.id, (err, session) => err ? reject(err) : resolve(session.token));
+            }))
+            .then((issued) => {
+                token = issued;
+                return migrate();
+            })
+            .then((report) => {
+                assert.strictEqual(changedBy(report)['grandfather email verification'], 1);
+                return Users.find({}).sort({ email: 1 }).exec();
+            })
+            .then((users) => {
+                assert.deepStrictEqual(users.map((user) => [user.email, user.emailVerified]), [
+                    ['new@example.com', false],
+                    ['old@example.com', true]
+                ]);
+                return request(support.app)
+                    .post('/auth/new_poll')
+                    .set('Authorization', 'Bearer ' + token)
+                    .send({ name: 'Lunch', options: ['pizza', 'salad'] });
+            })
+            .then((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body)));
+    });
+
+    it('makes the accounts named in ADMIN_EMAILS admins, ignoring case', () => insertRaw([
+        { email: 'boss@example.com', name: 'Boss', role: 'student' },
+        { email: 'SECOND@example.com', name: 'Second' },
+        { email: 'boss@example.com.evil', name: 'Lookalike', role: 'student' }
+    ]).then(migrate).then((report) => {
+        assert.strictEqual(changedBy(report)['grandfather roles'], 1);
+        assert.strictEqual(changedBy(report)['admin emails'], 2);
+        return Promise.all(['boss@example.com', 'SECOND@example.com', 'boss@example.com.evil'].map(roleOf));
+    }).then((found) => assert.deepStrictEqual(found, ['admin', 'admin', 'student'])));
+
+    it('changes nothing when run again', () => insertRaw([
+        { email: 'boss@example.com', name: 'Boss' },
+        { email: 'old@example.com', name: 'Old' }
+    ]).then(migrate).then(migrate).then((report) => {
+        report.forEach((step) => assert.strictEqual(step.changed, 0, step.name));
+    }));
+
+    it('gives a promoted admin the admin routes with the token they already hold', () => {
+        var token;
+        return insertRaw([{ email: 'boss@example.com', name: 'Boss', role: 'student', emailVerified: true }])
+            .then(() => Users.findOne({ email: 'boss@example.com' }).exec())
+            .then((user) => new Promise((resolve, reject) => {
+                tokens.issueSession(user.id, (err, session) => err ? reject(err) : resolve(session.token));
+            }))
+            .then((issued) => {
+                token = issued;
+                return request(support.app).get('/auth/admin/users').set('Authorization', 'Bearer ' + token);
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 403);
+                return migrate();
+            })
+            .then(() => request(support.app).get('/auth/admin/users').set('Authorization', 'Bearer ' + token))
+            .then((res) => assert.strictEqual(res.status, 200));
+    });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+var assert = require('assert');
+var url = require('url');
+var request = require('supertest');
+var passport = require('passport');
+var support = require('./support/app');
+var oauthStub = require('./support/oauthStub');
+var oauth = require('../app/config/oauth');
+var Users = require('../app/models/users');
+
+var app = support.app;
+
+describe('OAuth sign-in', () => {
+    var stub;
+    var saved = {};
+
+    before((done) => {
+        oauthStub.start((err, started) => {
+            if (err)
+                return done(err);
+            stub = started;
+            Object.keys(stub.env).forEach((name) => {
+                saved[name] = process.env[name];
+                process.env[name] = stub.env[name];
+            });
+            oauth.register(passport);
+            done();
+        });
+    });
+
+    after((done) => {
+        Object.keys(saved).forEach((name) => {
+            if (saved[name] === undefined)
+                delete process.env[name];
+            else
+                process.env[name] = saved[name];
+        });
+        stub.close(done);
+    });
+
+    // follows the flow from /auth/<provider> to the callback the provider redirects to
+    var signIn = (provider, code, start) => request(app).get(start || '/auth/' + provider).then((res) => {
+        assert.strictEqual(res.status, 302);
+        var location = url.parse(res.headers.location, true);
+        assert.strictEqual(location.pathname, '/' + provider + '/authorize');
+        return request(app).get('/auth/' + provider + '/callback').query({ code: code, state: location.query.state });
+    });
+
+    var googleProfile = (id, email, verified) => ({ sub: id, name: 'Ada Lovelace', email: email, email_verified: verified });
+
+    it('creates a verified account for a new Google user', () => {
+        stub.give('code-new', googleProfile('g-1', 'ada@example.com', true));
+        return signIn('google', 'code-new').then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.ok(res.body.token);
+            return Users.find({}).exec();
+        }).then((users) => {
+            assert.strictEqual(users.length, 1);
+            assert.strictEqual(users[0].googleId, 'g-1');
+            assert.strictEqual(users[0].email, 'ada@example.com');
+            assert.strictEqual(users[0].emailVerified, true);
+            assert.strictEqual(users[0].name, 'Ada Lovelace');
+        });
+    });
+
+    it('signs the same Google account in to the same user again', () => {
+        stub.give('code-again', googleProfile('g-2', 'ada@example.com', true));
+        return signIn('google', 'code-again')
+            .then(() => signIn('google', 'code-again'))
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                return Users.count({}).exec();
+            })
+            .then((count) => assert.strictEqual(count, 1));
+    });
+
+    it('links a verified local account with the same address', () => support.user({ email: 'ada@example.com', emailVerified: true })
+        .then((local) => {
+            stub.give('code-link', googleProfile('g-3', 'ada@example.com', true));
+            return signIn('google', 'code-link').then((res) => {
+                assert.strictEqual(res.status, 200);
+                return Users.find({}).exec();
+            }).then((users) => {
+                assert.strictEqual(users.length, 1);
+                assert.strictEqual(users[0].id, local.user.id);
+                assert.strictEqual(users[0].googleId, 'g-3');
+            });
+        }));
+
+    it('refuses to link an unverified local account with the same address', () => support.user({
+        email: 'ada@example.com', emailVerified: false, hashed_password: 'set-by-whoever-signed-up'
+    }).then((local) => {
+        stub.give('code-takeover', googleProfile('g-4', 'ada@example.com', true));
+        return signIn('google', 'code-takeover').then((res) => {
+            assert.strictEqual(res.status, 409);
+            assert.strictEqual(res.body.error.code, 'conflict');
+            assert.strictEqual(res.body.token, undefined);
+            return Users.find({}).exec();
+        }).then((users) => {
+            assert.strictEqual(users.length, 1);
+            assert.strictEqual(users[0].id, local.user.id);
+            assert.strictEqual(users[0].googleId, undefined);
+            assert.strictEqual(users[0].emailVerified, false);
+        });
+    }));
+
+    it('matches no account by an address the provider has not verified', () => support.user({ email: 'ada@example.com', emailVerified: true })
+        .then((local) => {
+            stub.give('code-unverified', googleProfile('g-5', 'ada@example.com', false));
+            return signIn('google', 'code-unverified').then((res) => {
+                assert.strictEqual(res.status, 200);
+                return Users.findOne({ googleId: 'g-5' }).exec();
+            }).then((created) => {
+                assert.notStrictEqual(created.id, local.user.id);
+                assert.strictEqual(created.email, undefined);
+                assert.strictEqual(created.emailVerified, false);
+            });
+        }));
+
+    it('links a verified local account by a verified GitHub address', () => support.user({ email: 'grace@example.com', emailVerified: true })
+        .then((local) => {
+            stub.give('code-github', {
+                user: { id: 42, login: 'grace', name: 'Grace Hopper' },
+                emails: [
+                    { email: 'old@example.com', primary: false, verified: false },
+                    { email: 'grace@example.com', primary: true, verified: true }
+                ]
+            });
+            return signIn('github', 'code-github').then((res) => {
+                assert.strictEqual(res.status, 200);
+                return Users.findById(local.user._id).exec();
+            }).then((user) => assert.strictEqual(user.githubId, '42'));
+        }));
+
+    it('links the provider to the logged in user through the link flow', () => support.user({ email: 'ada@example.com', emailVerified: false })
+        .then((local) => request(app)
+            .post('/auth/link/google')
+            .set('Authorization', 'Bearer ' + local.token)
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                stub.give('code-explicit', googleProfile('g-6', 'someone@example.com', true));
+                return signIn('google', 'code-explicit', res.body.url);
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                return Users.find({}).exec();
+            })
+            .then((users) => {
+                assert.strictEqual(users.length, 1);
+                assert.strictEqual(users[0].id, local.user.id);
+                assert.strictEqual(users[0].googleId, 'g-6');
+            })));
+
+    it('refuses a callback whose state was not issued by the app', () => {
+        stub.give('code-forged', googleProfile('g-7', 'ada@example.com', true));
+        return request(app).get('/auth/google/callback').query({ code: 'code-forged', state: 'forged' }).then((res) => {
+            assert.strictEqual(res.status, 403);
+            return Users.count({}).exec();
+        }).then((count) => assert.strictEqual(count, 0));
+    });
+
+    it("reads Google profiles from the OpenID Connect userinfo endpoint by default", () => {
+        delete process.env.GOOGLE_PROFILE_URL;
+        var instance = new passport.Passport();
+        oauth.register(instance);
+        process.env.GOOGLE_PROFILE_URL = stub.env.GOOGLE_PROFILE_URL;
+        var strategy = instance._strategy('google');
+        assert.strictEqual(strategy._userProfileURL, 'https://www.googleapis.com/oauth2/v3/userinfo');
+        assert.strictEqual(strategy._userProfileFormat, 'openid');
+    });
+});
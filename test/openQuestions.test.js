@@ -0,0 +1,136 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var answers = require('../app/utils/answers');
+
+describe('answers', () => {
+    it('checks answers against the rules of their poll', () => {
+        var text = { questionType: 'text', answerRules: { maxLength: 5 } };
+        var numeric = { questionType: 'numeric', answerRules: { min: 0, max: 10, integer: true } };
+        assert.deepStrictEqual(answers.parseAnswer(text, '  hi  '), { text: 'hi' });
+        assert.deepStrictEqual(answers.parseAnswer(text, 42), { text: '42' });
+        assert.ok(answers.parseAnswer(text, '   ').error);
+        assert.ok(answers.parseAnswer(text, 'too long').error);
+        assert.ok(answers.parseAnswer(text, ['hi']).error);
+        assert.deepStrictEqual(answers.parseAnswer(numeric, ' 7 '), { value: 7 });
+        [2.5, -1, 11, '', 'seven', NaN, Infinity, null].forEach((raw) => assert.ok(answers.parseAnswer(numeric, raw).error, String(raw)));
+    });
+
+    it('counts words leaving out common ones, most frequent first', () => assert.deepStrictEqual(
+        answers.wordFrequency(['The cat sat on the mat', "Cat's mat, cat-like!"]),
+        [{ word: 'mat', count: 2 }, { word: 'cat', count: 1 }, { word: "cat's", count: 1 }, { word: 'cat-like', count: 1 }, { word: 'sat', count: 1 }]
+    ));
+
+    it('sums up numbers with one bin per whole number over short ranges', () => {
+        var summary = answers.numericSummary([4, 1, 3, 1], { min: 0, max: 5, integer: true });
+        assert.deepStrictEqual([summary.count, summary.min, summary.max, summary.mean, summary.median], [4, 1, 4, 2.25, 2]);
+        assert.deepStrictEqual(summary.histogram.map((bin) => bin.count), [0, 2, 0, 1, 1, 0]);
+        var spread = answers.numericSummary([0.5, 99.5, 100], { min: 0, max: 100 });
+        assert.strictEqual(spread.histogram.length, 10);
+        assert.deepStrictEqual([spread.histogram[0].count, spread.histogram[9].count], [1, 2]);
+        assert.deepStrictEqual(answers.numericSummary([], {}), { count: 0, histogram: [] });
+    });
+});
+
+describe('open questions', () => {
+    var owner;
+    var voters;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({}), support.user({})]).then((users) => {
+        owner = users[0];
+        voters = users.slice(1);
+    }));
+
+    var post = (account, path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .send(body);
+
+    var newPoll = (body) => post(owner, '/auth/new_poll', Object.assign({ name: 'Question' }, body)).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body.poll;
+    });
+
+    var responses = (account, poll, status) => request(support.app)
+        .get('/auth/poll/responses')
+        .set('Authorization', 'Bearer ' + account.token)
+        .query(status ? { poll_id: poll._id, status: status } : { poll_id: poll._id });
+
+    it('lists text answers newest first with their words, also after a change', () => newPoll({ question_type: 'text', allow_vote_changes: true })
+        .then((poll) => post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 'Owls at night' })
+            .then(() => post(voters[1], '/auth/vote', { poll_id: poll._id, answer: 'night owls' }))
+            .then(() => post(voters[0], '/auth/vote/change', { poll_id: poll._id, answer: 'larks' })))
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var results = res.body.results;
+            assert.strictEqual(results.voters, 2);
+            assert.deepStrictEqual(results.answers.map((answer) => answer.text), ['night owls', 'larks']);
+            assert.deepStrictEqual(results.words.map((word) => word.word), ['larks', 'night', 'owls']);
+        }));
+
+    it('refuses text answers that break the rules and options on open questions', () => newPoll({ question_type: 'text', max_length: 5 })
+        .then((poll) => Promise.all([
+            post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 'much too long' }),
+            post(voters[1], '/auth/vote', { poll_id: poll._id, answer: '   ' }),
+            post(owner, '/auth/vote', { poll_id: poll._id, option: 0 }),
+            post(owner, '/auth/poll/options/add', { poll_id: poll._id, option: 'yes' })
+        ]))
+        .then((responses) => assert.deepStrictEqual(responses.map((res) => res.status), [400, 400, 400, 409])));
+
+    it('shows answers to moderated questions once the owner approves them', () => {
+        var poll;
+        return newPoll({ question_type: 'text', moderated: true })
+            .then((created) => {
+                poll = created;
+                return post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 'first' });
+            })
+            .then((res) => {
+                assert.deepStrictEqual([res.body.results.answers, res.body.results.pending], [[], 1]);
+                return responses(owner, poll, 'pending');
+            })
+            .then((res) => {
+                assert.deepStrictEqual(res.body.map((response) => response.text), ['first']);
+                return post(owner, '/auth/poll/responses/moderate', { poll_id: poll._id, response_id: res.body[0].id, decision: 'approved' });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                assert.strictEqual(res.body.response.moderation, 'approved');
+                return post(voters[1], '/poll', { poll_id: poll._id });
+            })
+            .then((res) => {
+                assert.deepStrictEqual([res.body.results.answers.map((answer) => answer.text), res.body.results.pending], [['first'], 0]);
+                return responses(voters[0], poll);
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 403);
+                return post(owner, '/auth/poll/responses/moderate', { poll_id: poll._id, response_id: poll._id, decision: 'rejected' });
+            })
+            .then((res) => assert.strictEqual(res.status, 404));
+    });
+
+    it('sums up numeric answers within their rules, also after a change', () => newPoll({ question_type: 'numeric', min_value: 0, max_value: 10, integer_only: true, allow_vote_changes: true })
+        .then((poll) => Promise.all([
+            post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 2.5 }),
+            post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 11 }),
+            post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 'ten' })
+        ]).then((refused) => {
+            assert.deepStrictEqual(refused.map((res) => res.status), [400, 400, 400]);
+            return post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 3 });
+        }).then(() => post(voters[1], '/auth/vote', { poll_id: poll._id, answer: 7 }))
+            .then(() => post(voters[1], '/auth/vote/change', { poll_id: poll._id, answer: '8' })))
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var results = res.body.results;
+            assert.deepStrictEqual([results.type, results.count, results.min, results.max, results.mean, results.median], ['numeric', 2, 3, 8, 5.5, 5.5]);
+            assert.strictEqual(results.histogram.length, 11);
+            assert.deepStrictEqual(results.histogram.filter((bin) => bin.count).map((bin) => bin.from), [3, 8]);
+        }));
+
+    it('refuses settings of other question types', () => Promise.all([
+        post(owner, '/auth/new_poll', { name: 'Q', question_type: 'text', integer_only: true }),
+        post(owner, '/auth/new_poll', { name: 'Q', question_type: 'numeric', min_value: 5, max_value: 1 }),
+        post(owner, '/auth/new_poll', { name: 'Q', question_type: 'choice' })
+    ]).then((responses) => responses.forEach((res) => assert.strictEqual(res.status, 400, JSON.stringify(res.body)))));
+});
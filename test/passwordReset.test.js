@@ -0,0 +1,113 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var mail = require('../app/mail');
+var passwords = require('../app/utils/passwords');
+var Users = require('../app/models/users');
+
+describe('mail sending routes', () => {
+    var address = 0;
+    var ip;
+    var sent;
+
+    beforeEach(() => {
+        // a client address of its own, so earlier tests do not count towards its limit
+        ip = '10.4.0.' + (++address);
+        sent = [];
+        mail.use({ send: (message, done) => { sent.push(message); done(); } });
+    });
+
+    afterEach(() => mail.use(mail.builtIn(process.env.MAIL_TRANSPORT)));
+
+    var forgot = (email) => request(support.app)
+        .post('/password/forgot')
+        .set('X-Forwarded-For', ip)
+        .send({ email: email });
+
+    var login = (email, password) => request(support.app)
+        .post('/login')
+        .set('X-Forwarded-For', ip)
+        .send({ email: email, password: password });
+
+    var withPassword = (email, password) => new Promise((resolve, reject) => {
+        passwords.hash(password, (err, hashed) => err ? reject(err) : resolve(hashed));
+    }).then((hashed) => support.user({ email: email, hashed_password: hashed }));
+
+    it('answers a reset request the same for unknown addresses and failing mail', () => support.user({ email: 'known' + address + '@example.com' })
+        .then(() => forgot('known' + address + '@example.com'))
+        .then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, { sent: true });
+            assert.strictEqual(sent.length, 1);
+            return forgot('unknown' + address + '@example.com');
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, { sent: true });
+            mail.use({ send: (message, done) => done(new Error('smtp is down')) });
+            return forgot('known' + address + '@example.com');
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body, { sent: true });
+        }));
+
+    it('limits reset mails to one address, whoever asks', () => {
+        var email = 'flooded' + address + '@example.com';
+        return support.user({ email: email })
+            .then(() => forgot(email))
+            .then(() => forgot(email))
+            .then(() => forgot(email))
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                ip = '10.4.1.' + address;
+                return forgot(email.toUpperCase());
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 429);
+                assert.ok(Number(res.headers['retry-after']) > 0);
+                assert.strictEqual(sent.length, 3);
+            });
+    });
+
+    it('limits verification mails to one user', () => support.user({ emailVerified: false }).then((account) => {
+        var resend = () => request(support.app)
+            .post('/auth/email/send_verification')
+            .set('X-Forwarded-For', ip)
+            .set('Authorization', 'Bearer ' + account.token);
+        return resend().then(resend).then(resend).then((res) => {
+            assert.strictEqual(res.status, 200);
+            return resend();
+        }).then((res) => {
+            assert.strictEqual(res.status, 429);
+            assert.strictEqual(sent.length, 3);
+        });
+    }));
+
+    it('ends a lockout when the password is reset', () => {
+        var email = 'locked' + address + '@example.com';
+        var attempts = [];
+        return withPassword(email, 'correct horse').then(() => {
+            var fail = () => login(email, 'wrong password').then((res) => { attempts.push(res.status); });
+            return fail().then(fail).then(fail).then(fail).then(fail);
+        }).then(() => {
+            assert.strictEqual(attempts[4], 429);
+            return forgot(email);
+        }).then(() => {
+            var token = decodeURIComponent(/reset_token=(\S+)/.exec(sent[0].text)[1]);
+            return request(support.app).post('/password/reset').send({ token: token, new_password: 'battery staple' });
+        }).then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            return Users.findOne({ email: email }).exec();
+        }).then((user) => {
+            assert.strictEqual(user.failedLogins, 0);
+            assert.strictEqual(user.lockedUntil, undefined);
+            return login(email, 'battery staple');
+        }).then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.ok(res.body.token);
+        });
+    });
+});
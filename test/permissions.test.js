@@ -0,0 +1,149 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var Polls = require('../app/models/polls');
+var Ballots = require('../app/models/ballots');
+var Users = require('../app/models/users');
+
+var app = support.app;
+
+var assertRefused = (res, permission) => {
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.error.code, 'forbidden');
+    assert.deepStrictEqual(res.body.error.details, [{ permission: permission }]);
+};
+
+describe('permission boundaries', () => {
+    var student, instructor, admin;
+
+    beforeEach(() => Promise.all([
+        support.user({ role: 'student' }),
+        support.user({ role: 'instructor' }),
+        support.user({ role: 'admin' })
+    ]).then((users) => {
+        student = users[0];
+        instructor = users[1];
+        admin = users[2];
+    }));
+
+    describe("authorize('poll:create')", () => {
+        var newPoll = (who) => request(app)
+            .post('/auth/new_poll')
+            .set('Authorization', 'Bearer ' + who.token)
+            .send({ name: 'Lunch', options: ['pizza', 'salad'] });
+
+        it('refuses students', () => newPoll(student).then((res) => {
+            assertRefused(res, 'poll:create');
+            return Polls.count({}).exec();
+        }).then((count) => assert.strictEqual(count, 0)));
+
+        it('lets instructors and admins create polls', () => Promise.all([newPoll(instructor), newPoll(admin)]).then((responses) => {
+            responses.forEach((res) => assert.strictEqual(res.status, 200));
+            return Polls.count({}).exec();
+        }).then((count) => assert.strictEqual(count, 2)));
+    });
+
+    describe("authorize('poll:view_identified')", () => {
+        // a student may still own a poll, e.g. one made before they were demoted
+        var votedPoll = (owner) => support.poll(owner).then((poll) => Ballots.create({
+            poll: poll.id, voter: String(admin.user._id), choices: [1], createdAt: new Date()
+        }).then(() => Polls.update({ _id: poll._id }, { $push: { voters: String(admin.user._id) }, $inc: { 'options.1.score': 1 } }).exec())
+            .then(() => poll));
+
+        var ballots = (who, poll) => request(app)
+            .post('/auth/poll/ballots')
+            .set('Authorization', 'Bearer ' + who.token)
+            .send({ poll_id: poll.id });
+
+        var exportBallots = (who, poll) => request(app)
+            .get('/auth/poll/export')
+            .set('Authorization', 'Bearer ' + who.token)
+            .query({ poll_id: poll.id, format: 'csv', rows: 'ballots' });
+
+        it('refuses students the ballots of their own poll', () => votedPoll(student)
+            .then((poll) => ballots(student, poll))
+            .then((res) => assertRefused(res, 'poll:view_identified')));
+
+        it('refuses students the CSV ballot export of their own poll', () => votedPoll(student)
+            .then((poll) => exportBallots(student, poll))
+            .then((res) => {
+                assert.strictEqual(res.status, 403);
+                assert.strictEqual(res.body.error.message, 'your role does not allow seeing identified results');
+            }));
+
+        it('still gives students the tallies of their own poll', () => votedPoll(student)
+            .then((poll) => request(app)
+                .get('/auth/poll/export')
+                .set('Authorization', 'Bearer ' + student.token)
+                .query({ poll_id: poll.id, format: 'csv', rows: 'tallies' }))
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.text, 'option,score\r\nyes,0\r\nno,1\r\n');
+            }));
+
+        it('lets instructors see who voted for what', () => votedPoll(instructor).then((poll) => Promise.all([
+            ballots(instructor, poll),
+            exportBallots(instructor, poll)
+        ])).then((responses) => {
+            assert.strictEqual(responses[0].status, 200);
+            assert.deepStrictEqual(responses[0].body.map((b) => [b.voter.email, b.choices]), [[admin.user.email, ['no']]]);
+            assert.strictEqual(responses[1].status, 200);
+            assert.strictEqual(responses[1].text.split('\r\n')[1].split(',').slice(0, 4).join(','),
+                [admin.user.id, admin.user.name, admin.user.email, 'no'].join(','));
+        }));
+    });
+
+    describe("authorize('poll:manage_any')", () => {
+        var rename = (who, poll) => request(app)
+            .post('/auth/poll/rename')
+            .set('Authorization', 'Bearer ' + who.token)
+            .send({ poll_id: poll.id, name: 'Renamed' });
+
+        it('refuses instructors polls they do not own', () => support.poll(student)
+            .then((poll) => rename(instructor, poll).then((res) => {
+                assert.strictEqual(res.status, 403);
+                assert.strictEqual(res.body.error.message, 'not the owner of this poll');
+                return Polls.findById(poll._id).exec();
+            }))
+            .then((poll) => assert.notStrictEqual(poll.name, 'Renamed')));
+
+        it('lets admins act as the owner of any poll', () => support.poll(student)
+            .then((poll) => rename(admin, poll).then((res) => {
+                assert.strictEqual(res.status, 200);
+                return Polls.findById(poll._id).exec();
+            }))
+            .then((poll) => assert.strictEqual(poll.name, 'Renamed')));
+    });
+
+    describe("authorize('user:manage_roles')", () => {
+        var setRole = (who, target, role) => request(app)
+            .post('/auth/admin/users/role')
+            .set('Authorization', 'Bearer ' + who.token)
+            .send({ user_id: target.user.id, role: role });
+
+        it('refuses instructors listing users or changing roles', () => Promise.all([
+            request(app).get('/auth/admin/users').set('Authorization', 'Bearer ' + instructor.token),
+            setRole(instructor, student, 'admin'),
+            setRole(instructor, instructor, 'admin')
+        ]).then((responses) => {
+            responses.forEach((res) => assertRefused(res, 'user:manage_roles'));
+            return Users.find({}).exec();
+        }).then((users) => assert.strictEqual(users.filter((u) => u.role === 'admin').length, 1)));
+
+        it('lets admins list users and change the roles of others', () => setRole(admin, student, 'instructor').then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.role, 'instructor');
+            return request(app).get('/auth/admin/users').set('Authorization', 'Bearer ' + admin.token);
+        }).then((res) => {
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.map((u) => u.role).sort(), ['admin', 'instructor', 'instructor']);
+        }));
+
+        it('refuses admins changing their own role', () => setRole(admin, admin, 'student').then((res) => {
+            assert.strictEqual(res.status, 403);
+            return Users.findById(admin.user._id).exec();
+        }).then((user) => assert.strictEqual(user.role, 'admin')));
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var Polls = require('../app/models/polls');
+
+describe('presenter mode', () => {
+    var owner;
+    var voter;
+    var poll;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({})]).then((users) => {
+        owner = users[0];
+        voter = users[1];
+        return support.poll(owner, { resultsVisibility: 'on_reveal' });
+    }).then((created) => {
+        poll = created;
+        return post(voter, '/auth/vote', { option: 1 });
+    }).then((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body))));
+
+    var post = (account, path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .send(Object.assign({ poll_id: poll.id }, body));
+
+    // what the voter is shown of the poll
+    var seen = () => post(voter, '/poll', {}).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body;
+    });
+
+    it('hides the tallies from voters until the owner reveals them', () => seen().then((view) => {
+        assert.strictEqual(view.results.hidden, true);
+        assert.strictEqual(view.options[0].score, undefined);
+        return post(owner, '/auth/poll/reveal', {});
+    }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return seen();
+    }).then((view) => assert.deepStrictEqual(view.options.map((opt) => opt.score), [0, 1])));
+
+    it('refuses revealing twice and revealing a poll of someone else', () => post(owner, '/auth/poll/reveal', {})
+        .then(() => post(owner, '/auth/poll/reveal', {}))
+        .then((res) => {
+            assert.strictEqual(res.status, 409);
+            return post(voter, '/auth/poll/reveal', {});
+        })
+        .then((res) => assert.strictEqual(res.status, 403)));
+
+    it('changes the visibility in one update, taking back an earlier reveal', () => post(owner, '/auth/poll/reveal', {})
+        .then(() => post(owner, '/auth/poll/results_visibility', { results_visibility: 'after_close' }))
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.strictEqual(res.body.poll.resultsVisibility, 'after_close');
+            assert.strictEqual(res.body.poll.revealedAt, undefined);
+            return Promise.all([Polls.findById(poll._id).exec(), seen()]);
+        })
+        .then((found) => {
+            var entry = found[0].history[found[0].history.length - 1];
+            assert.strictEqual(entry.action, 'results_visibility');
+            assert.deepStrictEqual(entry.details, { from: 'on_reveal', to: 'after_close' });
+            assert.strictEqual(found[1].results.hidden, true);
+        }));
+
+    it('changes the visibility of polls made before it existed', () => Polls.collection.update({ _id: poll._id }, { $unset: { resultsVisibility: 1 } })
+        .then(() => post(owner, '/auth/poll/results_visibility', { results_visibility: 'on_reveal' }))
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            return Polls.findById(poll._id).exec();
+        })
+        .then((found) => {
+            assert.strictEqual(found.resultsVisibility, 'on_reveal');
+            assert.deepStrictEqual(found.history[found.history.length - 1].details, { from: 'always', to: 'on_reveal' });
+        }));
+
+    it('refuses visibilities it does not know and polls of someone else', () => post(owner, '/auth/poll/results_visibility', { results_visibility: 'sometimes' })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            return post(voter, '/auth/poll/results_visibility', { results_visibility: 'always' });
+        })
+        .then((res) => assert.strictEqual(res.status, 403)));
+});
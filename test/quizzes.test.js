@@ -0,0 +1,127 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var quizzes = require('../app/utils/quiz');
+
+describe('quiz.grade', () => {
+    it('wants one correct option on single and exactly the correct ones on multiple choice', () => {
+        var single = { ballotType: 'single', quiz: { correct: [0, 2], points: 3 } };
+        var multiple = { ballotType: 'multiple', quiz: { correct: [0, 2], points: 3 } };
+        assert.deepStrictEqual(quizzes.grade(single, [2]), { correct: true, points: 3, correctOptions: [0, 2] });
+        assert.strictEqual(quizzes.grade(single, [1]).points, 0);
+        assert.strictEqual(quizzes.grade(multiple, [2, 0]).correct, true);
+        assert.strictEqual(quizzes.grade(multiple, [0]).correct, false);
+        assert.strictEqual(quizzes.grade(multiple, [0, 1, 2]).correct, false);
+    });
+});
+
+describe('quizzes', () => {
+    var owner;
+    var students;
+    var polls;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({}), support.user({})]).then((users) => {
+        owner = users[0];
+        students = users.slice(1);
+        var options = [{ option: 'a', score: 0 }, { option: 'b', score: 0 }, { option: 'c', score: 0 }];
+        return Promise.all([support.poll(owner, { options: options }), support.poll(owner, { options: options })]);
+    }).then((created) => {
+        polls = created;
+        return Promise.all(polls.map((poll) => post(owner, '/auth/poll/answers', { poll_id: poll.id, correct_options: [1], points: 2 })));
+    }).then((responses) => responses.forEach((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body)))));
+
+    var post = (account, path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .send(body);
+
+    var get = (account, path, query) => request(support.app)
+        .get(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .query(query);
+
+    var vote = (account, poll, option) => post(account, '/auth/vote', { poll_id: poll.id, option: option }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body;
+    });
+
+    // a series holding both polls
+    var series = () => post(owner, '/auth/quiz/series', { name: 'Week 1' }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        var id = res.body.series.id;
+        return Promise.all(polls.map((poll) => post(owner, '/auth/quiz/series/add', { series_id: id, poll_id: poll.id })))
+            .then(() => id);
+    });
+
+    it('tells voters right away whether they were right', () => vote(students[0], polls[0], 1)
+        .then((view) => {
+            assert.deepStrictEqual(view.feedback, { correct: true, points: 2, correctOptions: [1] });
+            return vote(students[1], polls[0], 0);
+        })
+        .then((view) => assert.deepStrictEqual(view.feedback, { correct: false, points: 0, correctOptions: [1] })));
+
+    it('keeps deferred answers to itself until the poll closes', () => post(owner, '/auth/poll/answers', { poll_id: polls[0].id, correct_options: [1], feedback: 'deferred' })
+        .then(() => vote(students[0], polls[0], 1))
+        .then((view) => {
+            assert.strictEqual(view.feedback, undefined);
+            assert.strictEqual(view.quiz.correct, undefined);
+            return post(owner, '/auth/poll/close', { poll_id: polls[0].id });
+        })
+        .then(() => post(students[0], '/poll', { poll_id: polls[0].id }))
+        .then((res) => {
+            assert.deepStrictEqual(res.body.quiz.correct, [1]);
+            assert.strictEqual(res.body.feedback.correct, true);
+        }));
+
+    it('ranks the students of a series by their points', () => series()
+        .then((id) => vote(students[0], polls[0], 1)
+            .then(() => vote(students[0], polls[1], 1))
+            .then(() => vote(students[1], polls[0], 1))
+            .then(() => vote(students[1], polls[1], 2))
+            .then(() => get(owner, '/auth/quiz/leaderboard', { series_id: id })))
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.strictEqual(res.body.polls, 2);
+            assert.strictEqual(res.body.maxPoints, 4);
+            assert.deepStrictEqual(res.body.leaderboard.map((row) => [row.rank, row.user.id, row.points, row.correct, row.answered]), [
+                [1, students[0].user.id, 4, 2, 2],
+                [2, students[1].user.id, 2, 1, 2]
+            ]);
+        }));
+
+    it('reports the answers of a student to them and to the owner only', () => series()
+        .then((id) => vote(students[0], polls[0], 0)
+            .then(() => get(students[0], '/auth/quiz/report', { series_id: id }))
+            .then((res) => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                assert.deepStrictEqual([res.body.answered, res.body.correct, res.body.points, res.body.maxPoints], [1, 0, 0, 4]);
+                // students only see the polls they answered
+                assert.deepStrictEqual(res.body.answers.map((answer) => answer.poll.id), [polls[0].id]);
+                return get(owner, '/auth/quiz/report', { series_id: id, user_id: students[0].user.id });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                assert.deepStrictEqual(res.body.answers.map((answer) => answer.answered), [true, false]);
+                return get(students[1], '/auth/quiz/report', { series_id: id, user_id: students[0].user.id });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 403);
+                return get(students[0], '/auth/quiz/leaderboard', { series_id: id });
+            }))
+        .then((res) => assert.strictEqual(res.status, 403)));
+
+    it('refuses wrong answers, polls of someone else and polls that are not quizzes', () => post(owner, '/auth/poll/answers', { poll_id: polls[0].id, correct_options: [3] })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error.details[0].field, 'correct_options');
+            return post(students[0], '/auth/poll/answers', { poll_id: polls[0].id, correct_options: [0] });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 403);
+            return Promise.all([series(), support.poll(owner, {})]);
+        })
+        .then((found) => post(owner, '/auth/quiz/series/add', { series_id: found[0], poll_id: found[1].id }))
+        .then((res) => assert.strictEqual(res.status, 409)));
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var clock = require('../app/utils/clock');
+var lockout = require('../app/utils/lockout');
+var passwords = require('../app/utils/passwords');
+var rateLimit = require('../app/middleware/rateLimit');
+
+var SECOND = 1000;
+var MINUTE = 60 * SECOND;
+// later than any real clock, so the TTL index never removes a counter during a test
+var START = Date.UTC(2100, 0, 1);
+
+// a clock that only moves when the test says so
+var now;
+var advance = (ms) => { now += ms; };
+
+var useFakeClock = () => {
+    beforeEach(() => {
+        now = START;
+        clock.set(() => now);
+    });
+
+    afterEach(() => clock.reset());
+};
+
+var hit = (store, key, windowMs) => new Promise((resolve, reject) => {
+    store.hit(key, windowMs, (err, state) => err ? reject(err) : resolve(state));
+});
+
+// the same fixed window behaviour from both stores
+[
+    { name: 'MemoryStore', create: () => new rateLimit.MemoryStore() },
+    { name: 'MongoStore', create: () => new rateLimit.MongoStore() }
+].forEach((kind) => {
+    describe('rateLimit.' + kind.name, () => {
+        var store;
+
+        useFakeClock();
+        beforeEach(() => { store = kind.create(); });
+
+        it('counts hits within a window and starts a new one once it has passed', () => hit(store, 'k', MINUTE)
+            .then((state) => {
+                assert.deepStrictEqual(state, { count: 1, resetAt: START + MINUTE });
+                advance(MINUTE - 1);
+                return hit(store, 'k', MINUTE);
+            })
+            .then((state) => {
+                assert.deepStrictEqual(state, { count: 2, resetAt: START + MINUTE });
+                advance(1);
+                return hit(store, 'k', MINUTE);
+            })
+            .then((state) => assert.deepStrictEqual(state, { count: 1, resetAt: START + 2 * MINUTE })));
+
+        it('keeps a window per key', () => hit(store, 'a', MINUTE)
+            .then(() => hit(store, 'a', MINUTE))
+            .then(() => hit(store, 'b', MINUTE))
+            .then((state) => assert.strictEqual(state.count, 1)));
+
+        it('counts simultaneous hits once each, also when they restart an expired window', () => {
+            var burst = () => Promise.all(Array.from({ length: 50 }, () => hit(store, 'burst', MINUTE)));
+            var counts = (states) => states.map((s) => s.count).sort((a, b) => a - b);
+            var expected = Array.from({ length: 50 }, (v, i) => i + 1);
+            return burst().then((states) => {
+                assert.deepStrictEqual(counts(states), expected);
+                advance(MINUTE);
+                return burst();
+            }).then((states) => {
+                assert.deepStrictEqual(counts(states), expected);
+                states.forEach((s) => assert.strictEqual(s.resetAt, START + 2 * MINUTE));
+            });
+        });
+    });
+});
+
+describe('lockout', () => {
+    useFakeClock();
+
+    it('locks from the fifth failure on, doubling up to an hour', () => {
+        assert.deepStrictEqual([0, 1, 4].map(lockout.lockDuration), [0, 0, 0]);
+        assert.strictEqual(lockout.lockDuration(5), MINUTE);
+        assert.strictEqual(lockout.lockDuration(6), 2 * MINUTE);
+        assert.strictEqual(lockout.lockDuration(10), 32 * MINUTE);
+        assert.strictEqual(lockout.lockDuration(11), 60 * MINUTE);
+        assert.strictEqual(lockout.lockDuration(50), 60 * MINUTE);
+    });
+
+    it('counts the seconds left of a lock, rounding up', () => {
+        assert.strictEqual(lockout.secondsLeft({}), 0);
+        var user = { lockedUntil: new Date(START + MINUTE) };
+        assert.strictEqual(lockout.secondsLeft(user), 60);
+        advance(59.5 * SECOND);
+        assert.strictEqual(lockout.secondsLeft(user), 1);
+        advance(0.5 * SECOND);
+        assert.strictEqual(lockout.secondsLeft(user), 0);
+        advance(MINUTE);
+        assert.strictEqual(lockout.secondsLeft(user), 0);
+    });
+});
+
+describe('POST /login', () => {
+    var address = 0;
+    var ip;
+    var email;
+
+    useFakeClock();
+    beforeEach((done) => {
+        // a client address of its own, so earlier tests do not count towards its limit
+        ip = '10.2.0.' + (++address);
+        email = 'locked' + address + '@example.com';
+        passwords.hash('correct horse', (err, hashed) => {
+            if (err)
+                return done(err);
+            support.createUser({ email: email, hashed_password: hashed }, done);
+        });
+    });
+
+    var login = (password, as) => request(support.app)
+        .post('/login')
+        .set('X-Forwarded-For', ip)
+        .send({ email: as || email, password: password });
+
+    var fail = (times) => {
+        var responses = [];
+        var next = () => responses.length === times
+            ? Promise.resolve(responses)
+            : login('wrong password').then((res) => { responses.push(res); return next(); });
+        return next();
+    };
+
+    it('locks the account after five wrong passwords and says when to retry', () => fail(5).then((responses) => {
+        assert.deepStrictEqual(responses.map((res) => res.status), [401, 401, 401, 401, 429]);
+        assert.strictEqual(responses[3].headers['retry-after'], undefined);
+        assert.strictEqual(responses[4].headers['retry-after'], '60');
+        assert.strictEqual(responses[4].body.error.code, 'rate_limited');
+        advance(45 * SECOND);
+        return login('correct horse');
+    }).then((res) => {
+        // the right password does not help while the account is locked
+        assert.strictEqual(res.status, 429);
+        assert.strictEqual(res.headers['retry-after'], '15');
+        advance(15 * SECOND);
+        return login('wrong password');
+    }).then((res) => {
+        assert.strictEqual(res.status, 429);
+        assert.strictEqual(res.headers['retry-after'], '120');
+        advance(2 * MINUTE);
+        return login('correct horse');
+    }).then((res) => {
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.token);
+        return login('wrong password');
+    }).then((res) => assert.strictEqual(res.status, 401)));
+
+    it('limits attempts per account and sends Retry-After until the window ends', () => {
+        var unknown = 'nobody' + address + '@example.com';
+        var attempts = [];
+        for (var i = 0; i < 10; i++)
+            attempts.push(login('whatever', unknown));
+        return Promise.all(attempts).then((responses) => {
+            responses.forEach((res) => assert.strictEqual(res.status, 401));
+            advance(10 * MINUTE);
+            return login('whatever', unknown);
+        }).then((res) => {
+            assert.strictEqual(res.status, 429);
+            assert.strictEqual(res.headers['retry-after'], String(5 * 60));
+            assert.strictEqual(res.headers['x-ratelimit-remaining'], '0');
+            advance(5 * MINUTE);
+            return login('whatever', unknown);
+        }).then((res) => {
+            assert.strictEqual(res.status, 401);
+            assert.strictEqual(res.headers['x-ratelimit-remaining'], '9');
+        });
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var scales = require('../app/utils/scales');
+
+// compares numbers computed in floating point
+var near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, actual + ' is not ' + expected);
+
+describe('scales.describe', () => {
+    it('gives the mean, sample standard deviation and 95% interval of the mean', () => {
+        var stats = scales.describe([{ weight: 1, count: 1 }, { weight: 2, count: 1 }, { weight: 3, count: 1 }]);
+        assert.strictEqual(stats.count, 3);
+        near(stats.mean, 2);
+        near(stats.sd, 1);
+        assert.strictEqual(stats.ci.level, 0.95);
+        near(stats.ci.low, 2 - 4.303 / Math.sqrt(3));
+        near(stats.ci.high, 2 + 4.303 / Math.sqrt(3));
+    });
+
+    it('leaves out what too few answers cannot tell', () => {
+        assert.deepStrictEqual(scales.describe([{ weight: 1, count: 0 }]), { count: 0, mean: null, sd: null, ci: null });
+        assert.deepStrictEqual(scales.describe([{ weight: 4, count: 1 }, { weight: 5, count: 0 }]), { count: 1, mean: 4, sd: null, ci: null });
+    });
+
+    it('uses the nearest tabled t value below the degrees of freedom, and z past the table', () => {
+        assert.strictEqual(scales.tCritical(1), 12.706);
+        assert.strictEqual(scales.tCritical(35), 2.042);
+        assert.strictEqual(scales.tCritical(120), 1.980);
+        assert.strictEqual(scales.tCritical(121), 1.960);
+    });
+});
+
+describe('scale polls', () => {
+    var instructor;
+    var voters;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({}), support.user({}), support.user({})]).then((users) => {
+        instructor = users[0];
+        voters = users.slice(1);
+    }));
+
+    var post = (account, path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .send(body);
+
+    var newPoll = (body) => post(instructor, '/auth/new_poll', Object.assign({ name: 'How was it?' }, body));
+
+    it('counts answers by their value and describes them', () => newPoll({ question_type: 'scale', options: ['poor', 'fair', 'good', 'great'], min_value: 2, max_value: 5 })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var poll = res.body.poll;
+            assert.deepStrictEqual(poll.options.map((opt) => [opt.option, opt.weight]), [['poor', 2], ['fair', 3], ['good', 4], ['great', 5]]);
+            // the value as a number or a string, or the index of its point as on choice polls
+            return post(voters[0], '/auth/vote', { poll_id: poll._id, answer: 4 })
+                .then(() => post(voters[1], '/auth/vote', { poll_id: poll._id, answer: '5' }))
+                .then(() => post(voters[2], '/auth/vote', { poll_id: poll._id, option: 1 }));
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var scale = res.body.results.scale;
+            assert.strictEqual(res.body.results.type, 'scale');
+            assert.deepStrictEqual(scale.distribution.map((point) => point.count), [0, 1, 1, 1]);
+            assert.strictEqual(scale.count, 3);
+            near(scale.mean, 4);
+            near(scale.sd, 1);
+            near(scale.ci.high - scale.ci.low, 2 * 4.303 / Math.sqrt(3));
+        }));
+
+    it('refuses answers off the scale', () => newPoll({ question_type: 'scale' })
+        .then((res) => {
+            var poll = res.body.poll;
+            assert.deepStrictEqual(poll.options.map((opt) => opt.option), ['1', '2', '3', '4', '5']);
+            return Promise.all([0, 6, 2.5, 'three'].map((answer, i) => post(voters[i % 3], '/auth/vote', { poll_id: poll._id, answer: answer })));
+        })
+        .then((responses) => responses.forEach((res) => {
+            assert.strictEqual(res.status, 400, JSON.stringify(res.body));
+        })));
+
+    it('refuses scales without points or with labels that do not fit', () => Promise.all([
+        newPoll({ question_type: 'scale', min_value: 3, max_value: 3 }),
+        newPoll({ question_type: 'scale', min_value: 1, max_value: 30 }),
+        newPoll({ question_type: 'scale', min_value: 0.5 }),
+        newPoll({ question_type: 'scale', options: ['low', 'high'] }),
+        newPoll({ question_type: 'scale', weights: [1, 2] })
+    ]).then((responses) => assert.deepStrictEqual(
+        responses.map((res) => [res.status, res.body.error.details[0].field]),
+        [[400, 'max_value'], [400, 'max_value'], [400, 'min_value'], [400, 'options'], [400, 'weights']]
+    )));
+
+    it('keeps the points of a scale fixed', () => newPoll({ question_type: 'scale' })
+        .then((res) => post(instructor, '/auth/poll/options/add', { poll_id: res.body.poll._id, option: '6' }))
+        .then((res) => assert.strictEqual(res.status, 409)));
+
+    it('adds up the weights of weighted choice polls', () => newPoll({ options: ['agree', 'unsure', 'disagree'], weights: [1, 0, -1], ballot_type: 'multiple', max_choices: 2 })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var poll = res.body.poll;
+            return post(voters[0], '/auth/vote', { poll_id: poll._id, option: [0, 1] })
+                .then(() => post(voters[1], '/auth/vote', { poll_id: poll._id, option: [0] }))
+                .then(() => post(voters[2], '/auth/vote', { poll_id: poll._id, option: [2] }))
+                .then((res) => {
+                    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                    assert.deepStrictEqual(res.body.results.weighted, { total: 1, mean: 1 / 3 });
+                    return post(instructor, '/auth/poll/options/add', { poll_id: poll._id, option: 'no idea' });
+                });
+        })
+        .then((res) => {
+            // a weighted poll takes no option without a weight
+            assert.strictEqual(res.status, 400);
+            return newPoll({ options: ['a', 'b'], weights: [1] });
+        })
+        .then((res) => assert.strictEqual(res.status, 400)));
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var Courses = require('../app/models/courses');
+
+var sockets = 0;
+
+// connects a socket to the stand-in io of support/app.js through the middleware the
+// app registered; resolves to the socket, which records what it was sent
+var connect = (account) => new Promise((resolve, reject) => {
+    var socket = {
+        id: 'socket' + (++sockets),
+        handshake: { auth: account ? { token: account.token } : {}, query: {} },
+        connected: true,
+        rooms: [],
+        received: [],
+        handlers: {},
+        join: (room) => { socket.rooms.push(room); },
+        leave: (room) => { socket.rooms = socket.rooms.filter((r) => r !== room); },
+        emit: (event, data) => { socket.received.push([event, data]); },
+        on: (event, fn) => { socket.handlers[event] = fn; }
+    };
+    var run = (i) => {
+        if (i === support.io.middleware.length) {
+            support.io.handlers.connection(socket);
+            return resolve(socket);
+        }
+        support.io.middleware[i](socket, (err) => err ? reject(err) : run(i + 1));
+    };
+    run(0);
+});
+
+// sends an event and resolves to its acknowledgement
+var send = (socket, event, data) => new Promise((resolve) => socket.handlers[event](data, resolve));
+
+var disconnect = (socket) => {
+    socket.connected = false;
+    socket.handlers.disconnect();
+};
+
+// what a socket was sent as one kind of event
+var received = (socket, event) => socket.received.filter((entry) => entry[0] === event).map((entry) => entry[1]);
+
+describe('live results over sockets', () => {
+    var owner;
+    var voter;
+    var poll;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({})]).then((users) => {
+        owner = users[0];
+        voter = users[1];
+        return support.poll(owner, { resultsVisibility: 'after_voting' });
+    }).then((created) => { poll = created; }));
+
+    var vote = (account, option) => request(support.app)
+        .post('/auth/vote')
+        .set('Authorization', 'Bearer ' + account.token)
+        .send({ poll_id: poll.id, option: option })
+        .then((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body)));
+
+    var presence = () => (support.io.sent['poll:' + poll.id] || [])
+        .filter((entry) => entry[0] === 'presence')
+        .map((entry) => entry[1].viewers);
+
+    it('counts the viewers of a poll as they come and go', () => Promise.all([connect(), connect(voter)])
+        .then((connected) => send(connected[0], 'subscribe', { poll_id: poll.id })
+            .then((ack) => {
+                assert.deepStrictEqual(ack, { poll_id: poll.id, viewers: 1 });
+                assert.deepStrictEqual(connected[0].rooms, ['poll:' + poll.id]);
+                return send(connected[1], 'subscribe', { poll_id: poll.id });
+            })
+            .then((ack) => {
+                assert.strictEqual(ack.viewers, 2);
+                // subscribing again changes nothing
+                return send(connected[1], 'subscribe', { poll_id: poll.id });
+            })
+            .then((ack) => {
+                assert.strictEqual(ack.viewers, 2);
+                disconnect(connected[0]);
+                return send(connected[1], 'unsubscribe', { poll_id: poll.id });
+            })
+            .then((ack) => {
+                assert.deepStrictEqual(ack, { poll_id: poll.id });
+                assert.deepStrictEqual(connected[1].rooms, []);
+                assert.deepStrictEqual(presence(), [1, 2, 1, 0]);
+            })));
+
+    it('sends the tallies after every vote to those who may see them', () => Promise.all([connect(owner), connect(voter), connect()])
+        .then((connected) => Promise.all(connected.map((socket) => send(socket, 'subscribe', { poll_id: poll.id })))
+            .then(() => vote(voter, 1))
+            .then(() => {
+                var results = connected.map((socket) => received(socket, 'results'));
+                // the owner and the voter see the tallies, the watcher who did not vote does not
+                assert.deepStrictEqual(results[0][0].results.tallies.map((tally) => tally.score), [0, 1]);
+                assert.deepStrictEqual(results[1][0], results[0][0]);
+                assert.deepStrictEqual(results[2], [{ poll_id: poll.id, results: { hidden: true, voters: 1 } }]);
+                assert.strictEqual(results[0][0].voters, undefined);
+                return send(connected[1], 'unsubscribe', { poll_id: poll.id });
+            })
+            .then(() => vote(owner, 0))
+            .then(() => assert.deepStrictEqual(connected.map((socket) => received(socket, 'results').length), [2, 1, 2]))));
+
+    it('refuses polls that do not exist or the viewer may not see', () => Courses.create({ name: 'Course', owner: owner.user.id, students: [], joinCode: 'SOCK01' })
+        .then((course) => Promise.all([support.poll(owner, { course: course.id }), connect(), connect(voter)]))
+        .then((found) => Promise.all([
+            send(found[1], 'subscribe', { poll_id: 'not-an-id' }),
+            send(found[1], 'subscribe', { poll_id: owner.user.id }),
+            send(found[1], 'subscribe', { poll_id: found[0].id }),
+            send(found[2], 'subscribe', { poll_id: found[0].id })
+        ]).then((acks) => {
+            assert.deepStrictEqual(acks.map((ack) => ack.error.code), ['validation_failed', 'not_found', 'unauthorized', 'forbidden']);
+            assert.deepStrictEqual(found[2].rooms, []);
+        })));
+
+    it('refuses sockets with a token that is not valid', () => connect({ token: 'forged' })
+        .then(() => assert.fail('connected'), (err) => assert.ok(err)));
+});
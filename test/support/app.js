@@ -0,0 +1,96 @@
+'use strict';
+
+var express = require('express');
+var bodyParser = require('body-parser');
+var passport = require('passport');
+var Users = require('../../app/models/users');
+var Polls = require('../../app/models/polls');
+var tokens = require('../../app/utils/tokens');
+
+// the app as app/routes expects to be mounted: express with the JSON and form body
+// parsers and passport, and a socket.io stand-in that keeps the middleware and
+// connection handler the app registers, for tests to connect sockets of their own,
+// and what was sent to each room
+
+var io = {
+    middleware: [],
+    handlers: {},
+    // room -> [[event, data]]
+    sent: {},
+    use: (fn) => { io.middleware.push(fn); },
+    on: (event, fn) => { io.handlers[event] = fn; },
+    to: (room) => ({ emit: (event, data) => { (io.sent[room] = io.sent[room] || []).push([event, data]); } })
+};
+
+var build = () => {
+    var app = express();
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
+    app.use(passport.initialize());
+    require('../../app/config/passport')(passport);
+    require('../../app/routes')(app, passport, io);
+    return app;
+};
+
+var app = build();
+
+var counter = 0;
+
+// creates an account and calls done(err, user, token) with an access token for it;
+// fields override the defaults, e.g. { role: 'admin' }
+var createUser = (fields, done) => {
+    counter++;
+    Users.create(Object.assign({
+        email: 'user' + counter + '@example.com',
+        name: 'User ' + counter,
+        emailVerified: true,
+        role: 'student'
+    }, fields), (err, user) => {
+        if (err)
+            return done(err);
+        tokens.issueSession(user.id, (err, session) => done(err, user, session && session.token));
+    });
+};
+
+// creates a poll owned by the user, done(err, poll)
+var createPoll = (owner, fields, done) => {
+    Polls.create(Object.assign({
+        name: 'Poll ' + (++counter),
+        options: [{ option: 'yes', score: 0 }, { option: 'no', score: 0 }],
+        voters: []
+    }, fields), (err, poll) => {
+        if (err)
+            return done(err);
+        Users.update({ _id: owner._id }, { $push: { polls: poll.id } }, (err) => done(err, poll));
+    });
+};
+
+// promise versions of the two above: user(fields) resolves to { user, token } and
+// poll(account, fields) to the poll, owned by an account user() made
+var user = (fields) => new Promise((resolve, reject) => {
+    createUser(fields || {}, (err, created, token) => err ? reject(err) : resolve({ user: created, token: token }));
+});
+
+var poll = (account, fields) => new Promise((resolve, reject) => {
+    createPoll(account.user, fields || {}, (err, created) => err ? reject(err) : resolve(created));
+});
+
+// makes the next call of a model method fail as if the database had refused it
+var failOnce = (model, method) => {
+    var original = model[method];
+    model[method] = function () {
+        model[method] = original;
+        var done = arguments[arguments.length - 1];
+        setImmediate(() => done(new Error('write refused')));
+    };
+};
+
+module.exports = {
+    app: app,
+    io: io,
+    createUser: createUser,
+    createPoll: createPoll,
+    user: user,
+    poll: poll,
+    failOnce: failOnce
+};
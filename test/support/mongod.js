@@ -0,0 +1,123 @@
+'use strict';
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+var mongoose = require('mongoose');
+
+// the database the tests run against. MONGODB_URI names a running server to use,
+// otherwise a throwaway mongod is started on a free port with its data in a temporary
+// directory: MONGOD_BIN, or mongod from the PATH. The app's mongoose 4 speaks the wire
+// protocol of MongoDB 3.4 to 4.4, newer servers refuse it
+
+var STARTUP_MS = 30 * 1000;
+
+var child = null;
+var dbPath = null;
+
+mongoose.Promise = global.Promise;
+
+var freePort = (done) => {
+    var server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+        var port = server.address().port;
+        server.close(() => done(null, port));
+    });
+    server.on('error', done);
+};
+
+// starts mongod and calls done(err, uri) once it accepts connections
+var spawn = (done) => {
+    freePort((err, port) => {
+        if (err)
+            return done(err);
+        dbPath = fs.mkdtempSync(path.join(os.tmpdir(), 'voting-app-mongod-'));
+        var bin = process.env.MONGOD_BIN || 'mongod';
+        var output = '';
+        var finished = false;
+        var finish = (err) => {
+            if (finished)
+                return;
+            finished = true;
+            clearTimeout(timer);
+            done(err, 'mongodb://127.0.0.1:' + port + '/voting-app-test');
+        };
+        var timer = setTimeout(() => finish(new Error('mongod did not start within ' + STARTUP_MS + 'ms:\n' + output)), STARTUP_MS);
+        child = childProcess.spawn(bin, ['--dbpath', dbPath, '--port', String(port), '--bind_ip', '127.0.0.1', '--nounixsocket'],
+            { stdio: ['ignore', 'pipe', 'pipe'] });
+        var watch = (chunk) => {
+            output += chunk;
+            if (/waiting for connections/i.test(output))
+                finish();
+        };
+        child.stdout.on('data', watch);
+        child.stderr.on('data', watch);
+        child.on('error', (err) => finish(new Error('cannot run ' + bin + ', set MONGOD_BIN or MONGODB_URI: ' + err.message)));
+        child.on('exit', (code) => {
+            child = null;
+            finish(new Error('mongod exited with code ' + code + ':\n' + output));
+        });
+    });
+};
+
+// connects mongoose and builds the indexes of every model the tests loaded, so unique
+// indexes are in place before the first request
+var start = (done) => {
+    var connect = (err, uri) => {
+        if (err)
+            return done(err);
+        mongoose.connect(uri, { useMongoClient: true }, (err) => {
+            if (err)
+                return done(err);
+            var names = mongoose.modelNames();
+            var next = (i) => {
+                if (i === names.length)
+                    return done();
+                mongoose.model(names[i]).ensureIndexes((err) => err ? done(err) : next(i + 1));
+            };
+            next(0);
+        });
+    };
+    if (process.env.MONGODB_URI)
+        return connect(null, process.env.MONGODB_URI);
+    spawn(connect);
+};
+
+// empties every collection but keeps the indexes
+var clear = (done) => {
+    var collections = Object.keys(mongoose.connection.collections).map((name) => mongoose.connection.collections[name]);
+    var next = (i) => {
+        if (i === collections.length)
+            return done();
+        collections[i].deleteMany({}, (err) => err ? done(err) : next(i + 1));
+    };
+    next(0);
+};
+
+// disconnects and stops the mongod this process started, if any
+var stop = (done) => {
+    mongoose.disconnect(() => {
+        var cleanUp = () => {
+            if (dbPath)
+                fs.rmSync(dbPath, { recursive: true, force: true });
+            dbPath = null;
+            done();
+        };
+        if (!child)
+            return cleanUp();
+        child.removeAllListeners('exit');
+        child.once('exit', () => {
+            child = null;
+            cleanUp();
+        });
+        child.kill('SIGTERM');
+    });
+};
+
+module.exports = {
+    start: start,
+    clear: clear,
+    stop: stop
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+// a stand-in for GitHub and Google: the token endpoint trades any code for an access
+// token and the profile endpoints answer the profile the test gave for that code.
+// Google's is served at /google/userinfo, the path of its OpenID Connect endpoint
+
+var start = (done) => {
+    var profiles = {};
+    var server = http.createServer((req, res) => {
+        var parsed = url.parse(req.url, true);
+        var send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        var tokenOf = () => (req.headers.authorization || '').replace(/^(Bearer|token) /, '') || parsed.query.access_token;
+        var profile = () => profiles[tokenOf()];
+
+        if (req.method === 'POST' && /\/token$/.test(parsed.pathname)) {
+            var body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            return req.on('end', () => {
+                var code = url.parse('?' + body, true).query.code;
+                if (!profiles[code])
+                    return send(400, { error: 'invalid_grant', error_description: 'unknown code' });
+                send(200, { access_token: code, token_type: 'bearer' });
+            });
+        }
+        if (!profile())
+            return send(401, { message: 'Bad credentials' });
+        switch (parsed.pathname) {
+            case '/google/userinfo':
+                return send(200, profile());
+            case '/github/user':
+                return send(200, profile().user);
+            case '/github/user/emails':
+                return send(200, profile().emails);
+            default:
+                return send(404, { message: 'Not Found' });
+        }
+    });
+    server.listen(0, '127.0.0.1', () => {
+        var base = 'http://127.0.0.1:' + server.address().port;
+        done(null, {
+            // env variables of app/config/oauth.js pointing both providers at the stub
+            env: {
+                GITHUB_CLIENT_ID: 'github-client',
+                GITHUB_CLIENT_SECRET: 'github-secret',
+                GITHUB_CALLBACK_URL: 'http://127.0.0.1/auth/github/callback',
+                GITHUB_AUTHORIZATION_URL: base + '/github/authorize',
+                GITHUB_TOKEN_URL: base + '/github/token',
+                GITHUB_PROFILE_URL: base + '/github/user',
+                GOOGLE_CLIENT_ID: 'google-client',
+                GOOGLE_CLIENT_SECRET: 'google-secret',
+                GOOGLE_CALLBACK_URL: 'http://127.0.0.1/auth/google/callback',
+                GOOGLE_AUTHORIZATION_URL: base + '/google/authorize',
+                GOOGLE_TOKEN_URL: base + '/google/token',
+                GOOGLE_PROFILE_URL: base + '/google/userinfo'
+            },
+            // the profile a later sign-in with this code gets
+            give: (code, profile) => { profiles[code] = profile; },
+            close: (cb) => server.close(cb)
+        });
+    });
+};
+
+module.exports = {
+    start: start
+};
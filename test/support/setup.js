@@ -0,0 +1,22 @@
+'use strict';
+
+// loaded by mocha before the test files: the environment the app modules read when
+// they are first required, and one database for the whole run
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_KEY = process.env.JWT_KEY || 'test-jwt-key';
+process.env.RECEIPT_KEY = process.env.RECEIPT_KEY || 'test-receipt-key';
+process.env.MAIL_TRANSPORT = 'console';
+// requests name their client address in X-Forwarded-For, like behind a proxy
+process.env.TRUST_PROXY = 'loopback';
+
+var mongod = require('./mongod');
+
+before(function (done) {
+    this.timeout(60 * 1000);
+    mongod.start(done);
+});
+
+beforeEach((done) => mongod.clear(done));
+
+after((done) => mongod.stop(done));
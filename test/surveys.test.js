@@ -0,0 +1,177 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var votes = require('../app/utils/votes');
+var Polls = require('../app/models/polls');
+
+describe('surveys', () => {
+    var owner;
+    var respondent;
+    // a choice, a scale from 3 to 7 and a text question
+    var polls;
+    var survey;
+
+    beforeEach(() => Promise.all([support.user({ role: 'instructor' }), support.user({})]).then((users) => {
+        owner = users[0];
+        respondent = users[1];
+        return Promise.all([
+            newPoll({ name: 'Did you come?', options: ['yes', 'no'] }),
+            newPoll({ name: 'How was it?', question_type: 'scale', min_value: 3, max_value: 7 }),
+            newPoll({ name: 'Anything else?', question_type: 'text' })
+        ]);
+    }).then((created) => {
+        polls = created;
+        // no skips to the last section, low marks end the survey
+        return post(owner, '/auth/surveys', { name: 'Feedback', sections: [
+            { questions: [{ poll_id: polls[0]._id }], branches: [{ poll_id: polls[0]._id, options: [1], goto: 2 }] },
+            { questions: [{ poll_id: polls[1]._id }], branches: [{ poll_id: polls[1]._id, min_value: 3, max_value: 4 }] },
+            { title: 'Last words', questions: [{ poll_id: polls[2]._id, required: false }] }
+        ] });
+    }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        survey = res.body.survey;
+    }));
+
+    var post = (account, path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + account.token)
+        .send(body);
+
+    var newPoll = (body) => post(owner, '/auth/new_poll', body).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body.poll;
+    });
+
+    // answers by the index of their poll
+    var submit = (given) => {
+        var answers = {};
+        Object.keys(given).forEach((i) => { answers[polls[i]._id] = given[i]; });
+        return post(respondent, '/auth/survey/vote', { survey_id: survey.id, answers: answers });
+    };
+
+    var results = (account) => request(support.app)
+        .get('/auth/survey/results')
+        .set('Authorization', 'Bearer ' + account.token)
+        .query({ survey_id: survey.id });
+
+    it('counts a submission that goes through every section', () => submit({ 0: 0, 1: 6, 2: 'lovely' })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.deepStrictEqual(res.body.sections, [0, 1, 2]);
+            assert.deepStrictEqual(res.body.answered, polls.map((poll) => poll._id));
+            return results(owner);
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.strictEqual(res.body.responses, 1);
+            assert.deepStrictEqual(res.body.sections.map((section) => section.reached), [1, 1, 1]);
+            assert.deepStrictEqual(res.body.sections.map((section) => section.questions[0].voters), [1, 1, 1]);
+            assert.strictEqual(res.body.sections[1].questions[0].results.scale.mean, 6);
+        }));
+
+    it('takes branches on chosen options and on the value of a scale', () => submit({ 0: 1 })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.deepStrictEqual(res.body.sections, [0, 2]);
+            respondent = owner;
+            // 4 is the second point of the scale, the range is of values
+            return submit({ 0: 0, 1: 4 });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            assert.deepStrictEqual(res.body.sections, [0, 1]);
+            return results(owner);
+        })
+        .then((res) => assert.deepStrictEqual(res.body.sections.map((section) => section.reached), [2, 1, 1])));
+
+    it('refuses answers off the route and missing required ones', () => submit({ 0: 1, 1: 5 })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details, [{ field: 'answers.' + polls[1]._id, location: 'body', message: 'is not asked after your earlier answers' }]);
+            return submit({ 0: 0, 2: 'no marks' });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details, [{ field: 'answers.' + polls[1]._id, location: 'body', message: 'is required' }]);
+            return submit({ 0: 0, 1: 8 });
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error.details[0].field, 'answers.' + polls[1]._id);
+            return Polls.find({ _id: { $in: polls.map((poll) => poll._id) } }).exec();
+        })
+        .then((found) => found.forEach((poll) => assert.strictEqual(poll.voters.length, 0))));
+
+    it('counts a submission as a whole or not at all, and only once', () => {
+        var recordVote = votes.recordVote;
+        var calls = 0;
+        votes.recordVote = function (poll, userId, ballot, done) {
+            if (++calls === 2) {
+                votes.recordVote = recordVote;
+                return setImmediate(() => done(new Error('write refused')));
+            }
+            recordVote.apply(votes, arguments);
+        };
+        return submit({ 0: 0, 1: 6 })
+            .then((res) => {
+                assert.strictEqual(res.status, 500);
+                return Polls.findById(polls[0]._id).exec();
+            })
+            .then((found) => {
+                assert.strictEqual(found.voters.length, 0);
+                assert.deepStrictEqual(found.options.map((opt) => opt.score), [0, 0]);
+                return submit({ 0: 0, 1: 6 });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                return submit({ 0: 0, 1: 6 });
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 409);
+                return results(owner);
+            })
+            .then((res) => assert.strictEqual(res.body.responses, 1));
+    });
+
+    it('refuses branches that cannot match and polls of someone else', () => {
+        var sections = (branch) => ({ name: 'Broken', sections: [
+            { questions: [{ poll_id: polls[0]._id }, { poll_id: polls[1]._id }], branches: [branch] },
+            { questions: [{ poll_id: polls[2]._id }] }
+        ] });
+        return Promise.all([
+            post(owner, '/auth/surveys', sections({ poll_id: polls[1]._id, options: [0] })),
+            post(owner, '/auth/surveys', sections({ poll_id: polls[0]._id, min_value: 1 })),
+            post(owner, '/auth/surveys', sections({ poll_id: polls[2]._id, min_value: 1 })),
+            post(owner, '/auth/surveys', sections({ poll_id: polls[0]._id, options: [0], min_value: 1 }))
+        ]).then((responses) => {
+            assert.deepStrictEqual(responses.map((res) => [res.status, res.body.error.details[0].message]), [
+                [400, 'options only match choice questions'],
+                [400, 'a range only matches numeric and scale questions'],
+                [400, 'must look at a question of this or an earlier section'],
+                [400, 'must match either options or a min_value-max_value range']
+            ]);
+            return post(respondent, '/auth/surveys', { name: 'Not mine', poll_ids: [polls[0]._id] });
+        }).then((res) => {
+            // students may not make surveys at all
+            assert.strictEqual(res.status, 403);
+            return support.user({ role: 'instructor' });
+        }).then((other) => post(other, '/auth/surveys', { name: 'Not mine', poll_ids: [polls[0]._id] })
+            .then((res) => {
+                assert.strictEqual(res.status, 403);
+                return results(other);
+            }))
+            .then((res) => assert.strictEqual(res.status, 403));
+    });
+
+    it('shows respondents the questions and branches they need', () => post(respondent, '/auth/survey', { survey_id: survey.id })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            var sections = res.body.sections;
+            assert.deepStrictEqual(sections.map((section) => section.questions.map((question) => question.type)), [['choice'], ['scale'], ['text']]);
+            assert.deepStrictEqual(sections[1].questions[0].scale, { min: 3, max: 7 });
+            assert.deepStrictEqual(sections[0].branches, [{ poll_id: polls[0]._id, options: [1], goto: 2 }]);
+            assert.strictEqual(sections[2].questions[0].required, false);
+        }));
+});
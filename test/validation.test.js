@@ -0,0 +1,101 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var schemas = require('../app/validation/schemas');
+var Polls = require('../app/models/polls');
+
+describe('request validation', () => {
+    var instructor;
+
+    beforeEach(() => support.user({ role: 'instructor' }).then((created) => { instructor = created; }));
+
+    var newPoll = () => request(support.app)
+        .post('/auth/new_poll')
+        .set('Authorization', 'Bearer ' + instructor.token);
+
+    it('checks and coerces every field, also from url encoded forms', () => newPoll()
+        .type('form')
+        .send({ name: '  Lunch  ', options: '["pizza", "salad"]', allow_vote_changes: 'true', max_choices: '2', ballot_type: 'multiple' })
+        .then((res) => {
+            assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+            return Polls.findOne({}).exec();
+        })
+        .then((poll) => {
+            assert.strictEqual(poll.name, 'Lunch');
+            assert.deepStrictEqual(poll.options.map((opt) => opt.option), ['pizza', 'salad']);
+            assert.strictEqual(poll.allowVoteChanges, true);
+            assert.strictEqual(poll.maxChoices, 2);
+        }));
+
+    it('reports all problems of a request together', () => newPoll()
+        .send({ name: '', options: ['only one'], results_visibility: 'sometimes', closes_at: 'soon' })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error.code, 'validation_failed');
+            var fields = res.body.error.details.map((problem) => problem.field).sort();
+            assert.deepStrictEqual(fields, ['closes_at', 'name', 'options', 'results_visibility']);
+            res.body.error.details.forEach((problem) => assert.strictEqual(problem.location, 'body'));
+            return Polls.count({}).exec();
+        })
+        .then((count) => assert.strictEqual(count, 0)));
+
+    it('refuses ids that are not object ids before looking anything up', () => request(support.app)
+        .post('/poll')
+        .send({ poll_id: 'not-an-id' })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details.map((problem) => problem.field), ['poll_id']);
+        }));
+
+    it('refuses more options than a poll can have', () => newPoll()
+        .send({ name: 'Many', options: Array.from({ length: schemas.MAX_OPTIONS + 1 }, (v, i) => 'option ' + i) })
+        .then((res) => {
+            assert.strictEqual(res.status, 400);
+            assert.deepStrictEqual(res.body.error.details.map((problem) => problem.field), ['options']);
+        }));
+
+    describe('adding options', () => {
+        var poll;
+
+        beforeEach(() => support.poll(instructor, {
+            options: Array.from({ length: schemas.MAX_OPTIONS - 1 }, (v, i) => ({ option: 'option ' + i, score: 0 }))
+        }).then((created) => { poll = created; }));
+
+        var addOption = (option) => request(support.app)
+            .post('/auth/poll/options/add')
+            .set('Authorization', 'Bearer ' + instructor.token)
+            .send({ poll_id: poll.id, option: option });
+
+        it('adds options up to the limit, and voters can choose the last one', () => addOption('last')
+            .then((res) => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                assert.strictEqual(res.body.poll.options.length, schemas.MAX_OPTIONS);
+                return request(support.app)
+                    .post('/auth/vote')
+                    .set('Authorization', 'Bearer ' + instructor.token)
+                    .send({ poll_id: poll.id, option: schemas.MAX_OPTIONS - 1 });
+            })
+            .then((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body))));
+
+        it('refuses options past the limit', () => addOption('last')
+            .then(() => addOption('one too many'))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.error.code, 'validation_failed');
+                return Polls.findById(poll._id).exec();
+            })
+            .then((found) => assert.strictEqual(found.options.length, schemas.MAX_OPTIONS)));
+
+        it('lets only one of two simultaneous adds take the last place', () => Promise.all([addOption('a'), addOption('b')])
+            .then((responses) => {
+                // the later one is refused by the check or, if it read the poll first, by the guard
+                var statuses = responses.map((res) => res.status).sort();
+                assert.strictEqual(statuses[0], 200);
+                assert.ok(statuses[1] === 400 || statuses[1] === 409, String(statuses[1]));
+                return Polls.findById(poll._id).exec();
+            })
+            .then((found) => assert.strictEqual(found.options.length, schemas.MAX_OPTIONS)));
+    });
+});
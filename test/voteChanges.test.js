@@ -0,0 +1,107 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var support = require('./support/app');
+var Polls = require('../app/models/polls');
+var Ballots = require('../app/models/ballots');
+var Courses = require('../app/models/courses');
+
+describe('changing and retracting votes', () => {
+    var owner;
+    var voter;
+    var poll;
+
+    beforeEach(() => Promise.all([support.user({}), support.user({})]).then((users) => {
+        owner = users[0];
+        voter = users[1];
+        return support.poll(owner, { allowVoteChanges: true, options: [{ option: 'a', score: 0 }, { option: 'b', score: 0 }, { option: 'c', score: 0 }] });
+    }).then((created) => {
+        poll = created;
+        return post('/auth/vote', { option: 0 });
+    }).then((res) => assert.strictEqual(res.status, 200, JSON.stringify(res.body))));
+
+    var post = (path, body) => request(support.app)
+        .post(path)
+        .set('Authorization', 'Bearer ' + voter.token)
+        .send(Object.assign({ poll_id: poll.id }, body));
+
+    var state = () => Promise.all([Polls.findById(poll._id).exec(), Ballots.find({ poll: poll.id }).exec()])
+        .then((found) => ({
+            scores: found[0].options.map((opt) => opt.score),
+            voters: found[0].voters.toObject(),
+            ballots: found[1].map((ballot) => ballot.choices.toObject())
+        }));
+
+    it('moves the tally to the new choice', () => post('/auth/vote/change', { option: 2 }).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return state();
+    }).then((found) => assert.deepStrictEqual(found, { scores: [0, 0, 1], voters: [voter.user.id], ballots: [[2]] })));
+
+    it('takes the vote out of the tally on retracting it', () => post('/auth/vote/retract', {}).then((res) => {
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return state();
+    }).then((found) => assert.deepStrictEqual(found, { scores: [0, 0, 0], voters: [], ballots: [] })));
+
+    it('moves the tally back when the ballot cannot be replaced', () => {
+        support.failOnce(Ballots, 'findOneAndUpdate');
+        return post('/auth/vote/change', { option: 1 }).then((res) => {
+            assert.strictEqual(res.status, 500);
+            return state();
+        }).then((found) => assert.deepStrictEqual(found, { scores: [1, 0, 0], voters: [voter.user.id], ballots: [[0]] }));
+    });
+
+    it('counts the voter again when the ballot cannot be removed', () => {
+        support.failOnce(Ballots, 'findOneAndRemove');
+        return post('/auth/vote/retract', {}).then((res) => {
+            assert.strictEqual(res.status, 500);
+            return state();
+        }).then((found) => assert.deepStrictEqual(found, { scores: [1, 0, 0], voters: [voter.user.id], ballots: [[0]] }));
+    });
+
+    it('leaves the ballot as it was when the tally cannot be moved', () => {
+        support.failOnce(Polls, 'findOneAndUpdate');
+        return post('/auth/vote/change', { option: 1 }).then((res) => {
+            assert.strictEqual(res.status, 500);
+            return state();
+        }).then((found) => assert.deepStrictEqual(found, { scores: [1, 0, 0], voters: [voter.user.id], ballots: [[0]] }));
+    });
+
+    it('keeps the ballot when the vote cannot be taken out of the tally', () => {
+        support.failOnce(Polls, 'findOneAndUpdate');
+        return post('/auth/vote/retract', {}).then((res) => {
+            assert.strictEqual(res.status, 500);
+            return state();
+        }).then((found) => assert.deepStrictEqual(found, { scores: [1, 0, 0], voters: [voter.user.id], ballots: [[0]] }));
+    });
+
+    it('refuses changes and retractions from students who left the course of the poll', () => Courses.create({
+        name: 'Course', owner: owner.user.id, students: [voter.user.id], joinCode: 'LEAVE1'
+    }).then((course) => Polls.update({ _id: poll._id }, { $set: { course: course.id } }).exec()
+        .then(() => Courses.update({ _id: course._id }, { $pull: { students: voter.user.id } }).exec()))
+        .then(() => post('/auth/vote/change', { option: 1 }))
+        .then((res) => {
+            assert.strictEqual(res.status, 403);
+            return post('/auth/vote/retract', {});
+        })
+        .then((res) => {
+            assert.strictEqual(res.status, 403);
+            return state();
+        })
+        .then((found) => assert.deepStrictEqual(found, { scores: [1, 0, 0], voters: [voter.user.id], ballots: [[0]] })));
+
+    it('keeps the tally matching the ballot under simultaneous changes', () => {
+        var changes = [];
+        for (var i = 0; i < 12; i++)
+            changes.push(post('/auth/vote/change', { option: i % 3 }));
+        return Promise.all(changes).then((responses) => {
+            responses.forEach((res) => assert.ok(res.status === 200 || res.status === 409, JSON.stringify(res.body)));
+            return state();
+        }).then((found) => {
+            assert.strictEqual(found.ballots.length, 1);
+            var expected = [0, 0, 0];
+            expected[found.ballots[0][0]] = 1;
+            assert.deepStrictEqual(found.scores, expected);
+        });
+    });
+});
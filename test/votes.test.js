@@ -0,0 +1,142 @@
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var request = require('supertest');
+var support = require('./support/app');
+var Polls = require('../app/models/polls');
+var Ballots = require('../app/models/ballots');
+
+var VOTERS = 300;
+var DOUBLE_VOTERS = 100;
+
+// creates count accounts one after another, done(err, [{ user, token }])
+var createVoters = (count, done) => {
+    var voters = [];
+    var next = () => {
+        if (voters.length === count)
+            return done(null, voters);
+        support.createUser({}, (err, user, token) => {
+            if (err)
+                return done(err);
+            voters.push({ user: user, token: token });
+            next();
+        });
+    };
+    next();
+};
+
+describe('POST /auth/vote under concurrency', function () {
+    this.timeout(120 * 1000);
+
+    var server;
+    var owner;
+    var voters;
+
+    before((done) => {
+        server = http.createServer(support.app).listen(0, '127.0.0.1', done);
+    });
+
+    after((done) => server.close(done));
+
+    beforeEach((done) => {
+        support.createUser({ role: 'instructor' }, (err, user) => {
+            if (err)
+                return done(err);
+            owner = user;
+            createVoters(VOTERS, (err, list) => {
+                voters = list;
+                done(err);
+            });
+        });
+    });
+
+    // every voter on a device of their own, so the per address limit stays out of the way
+    var vote = (poll, i, body) => request(server)
+        .post('/auth/vote')
+        .set('Authorization', 'Bearer ' + voters[i].token)
+        .set('X-Forwarded-For', '10.1.' + (i >> 8) + '.' + (i & 255))
+        .send(Object.assign({ poll_id: poll.id }, body));
+
+    var all = (requests) => Promise.all(requests.map((r) => r.then((res) => res)));
+
+    it('counts every simultaneous vote exactly once and refuses second votes with 409', () => {
+        var poll;
+        return new Promise((resolve, reject) => {
+            support.createPoll(owner, {
+                options: [{ option: 'a', score: 0 }, { option: 'b', score: 0 }, { option: 'c', score: 0 }]
+            }, (err, created) => err ? reject(err) : resolve(created));
+        }).then((created) => {
+            poll = created;
+            var requests = voters.map((v, i) => vote(poll, i, { option: i % 3 }));
+            // the first voters send a second, different vote at the same time
+            for (var i = 0; i < DOUBLE_VOTERS; i++)
+                requests.push(vote(poll, i, { option: (i + 1) % 3 }));
+            return all(requests);
+        }).then((responses) => {
+            var statuses = responses.map((res) => res.status);
+            assert.strictEqual(statuses.filter((s) => s === 200).length, VOTERS);
+            assert.strictEqual(statuses.filter((s) => s === 409).length, DOUBLE_VOTERS);
+            responses.filter((res) => res.status === 409).forEach((res) => {
+                assert.strictEqual(res.body.error.code, 'conflict');
+                assert.strictEqual(res.body.error.message, 'only one vote per user');
+            });
+            return Promise.all([Polls.findById(poll._id).exec(), Ballots.find({ poll: poll.id }).exec()]);
+        }).then((found) => {
+            var updated = found[0];
+            var ballots = found[1];
+            assert.strictEqual(updated.voters.length, VOTERS);
+            assert.strictEqual(new Set(updated.voters).size, VOTERS);
+            assert.strictEqual(ballots.length, VOTERS);
+            // whichever of the two votes won, each option's score matches its ballots
+            [0, 1, 2].forEach((i) => {
+                var chosen = ballots.filter((b) => b.choices[0] === i).length;
+                assert.strictEqual(updated.options[i].score, chosen);
+            });
+            var total = updated.options.reduce((sum, opt) => sum + opt.score, 0);
+            assert.strictEqual(total, VOTERS);
+        });
+    });
+
+    it('keeps the tallies exact on multiple choice polls', () => {
+        var poll;
+        return new Promise((resolve, reject) => {
+            support.createPoll(owner, {
+                ballotType: 'multiple',
+                maxChoices: 2,
+                options: [{ option: 'a', score: 0 }, { option: 'b', score: 0 }, { option: 'c', score: 0 }]
+            }, (err, created) => err ? reject(err) : resolve(created));
+        }).then((created) => {
+            poll = created;
+            return all(voters.map((v, i) => vote(poll, i, { option: i % 2 ? [0, 1] : [2] })));
+        }).then((responses) => {
+            assert.deepStrictEqual(responses.filter((res) => res.status !== 200).map((res) => res.body), []);
+            return Polls.findById(poll._id).exec();
+        }).then((updated) => {
+            var odd = Math.floor(VOTERS / 2);
+            assert.strictEqual(updated.options[0].score, odd);
+            assert.strictEqual(updated.options[1].score, odd);
+            assert.strictEqual(updated.options[2].score, VOTERS - odd);
+            assert.strictEqual(updated.voters.length, VOTERS);
+        });
+    });
+
+    it('refuses a repeated vote from the same voter with 409', () => {
+        var poll;
+        return new Promise((resolve, reject) => {
+            support.createPoll(owner, {}, (err, created) => err ? reject(err) : resolve(created));
+        }).then((created) => {
+            poll = created;
+            return vote(poll, 0, { option: 0 });
+        }).then((res) => {
+            assert.strictEqual(res.status, 200);
+            return vote(poll, 0, { option: 1 });
+        }).then((res) => {
+            assert.strictEqual(res.status, 409);
+            return Polls.findById(poll._id).exec();
+        }).then((updated) => {
+            assert.deepStrictEqual(updated.options.map((opt) => opt.score), [1, 0]);
+            assert.deepStrictEqual(updated.voters.toObject(), [String(voters[0].user._id)]);
+        });
+    });
+});